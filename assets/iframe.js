@@ -1,23 +1,260 @@
 // Initialize Zendesk client  
 const client = window.ZAFClient ? window.ZAFClient.init() : { invoke: () => {} };
 
-fetch('https://shiprelay-backend.onrender.com/api/shiprelay/shipment/ping').catch(err => {
-  console.log('Backend wakeup failed (likely already warm)', err);
-});
+const DEFAULT_BACKEND_URL = 'https://shiprelay-backend.onrender.com/api/shiprelay';
+
+// The backendUrl setting points an installation at another backend, e.g. one running in DEMO_MODE
+// for training agents or trying sidebar changes
+let backendUrlPromise = null;
+function getBackendUrl() {
+  if (!backendUrlPromise) {
+    backendUrlPromise = getSettings()
+      .catch(() => ({}))
+      .then(settings => (settings.backendUrl?.trim() || DEFAULT_BACKEND_URL).replace(/\/$/, ''));
+  }
+  return backendUrlPromise;
+}
 
-async function getShipmentsByOrderRef(orderRef) {
+async function wakeBackend() {
   try {
-    const response = await fetch(`https://shiprelay-backend.onrender.com/api/shiprelay/shipment?order_ref=${encodeURIComponent(orderRef)}`);
-    if (!response.ok) throw new Error('Failed to fetch shipments');
+    await fetch(`${await getBackendUrl()}/shipment/ping`);
+  } catch (err) {
+    console.log('Backend wakeup failed (likely already warm)', err);
+  }
+}
+
+// Ticket the sidebar is open on, sent along so the backend can put it in the audit log
+let ticketIdPromise = null;
+function getTicketId() {
+  if (!ticketIdPromise) {
+    ticketIdPromise = Promise.resolve().then(() => client.get('ticket.id')).then(data => data['ticket.id']).catch(() => null);
+  }
+  return ticketIdPromise;
+}
+
+// Brand of that ticket, the backend picks the brand's ShipRelay account and Shopify store with it
+let brandIdPromise = null;
+function getBrandId() {
+  if (!brandIdPromise) {
+    brandIdPromise = Promise.resolve().then(() => client.get('ticket.brand')).then(data => data['ticket.brand']?.id).catch(() => null);
+  }
+  return brandIdPromise;
+}
+
+// Last ETag and body per GET path, so an unchanged lookup comes back as a bodiless 304
+const etagCache = new Map();
+
+function getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+// All backend calls go through the ZAF proxy so Zendesk signs them with a JWT the backend verifies
+async function backendRequest(path, options = {}) {
+  const [backendUrl, ticketId, brandId] = await Promise.all([getBackendUrl(), getTicketId(), getBrandId()]);
+  const method = options.method || 'GET';
+  const cached = method === 'GET' ? etagCache.get(path) : null;
+
+  const headers = { ...options.headers };
+  if (ticketId) headers['X-Zendesk-Ticket-Id'] = String(ticketId);
+  if (brandId) headers['X-Zendesk-Brand-Id'] = String(brandId);
+  if (cached) headers['If-None-Match'] = cached.etag;
+
+  let response;
+  try {
+    response = await client.request({
+      url: `${backendUrl}${path}`,
+      type: method,
+      headers,
+      contentType: 'application/json',
+      data: options.body ? JSON.stringify(options.body) : undefined,
+      signed: true,
+      cors: false,
+      httpCompleteResponse: true
+    });
+  } catch (failed) {
+    if (failed?.status === 304 && cached) {
+      return cached.body;
+    }
+
+    // The backend's request id finds this request in its logs, so it goes into the console with the error.
+    // Statuses the caller expects (options.expectedStatuses) are left to the caller.
+    const requestId = getHeader(failed?.headers, 'x-request-id');
+    const error = new Error(failed?.responseJSON?.error || `Backend request failed (${failed?.status})`);
+    error.status = failed?.status;
+    error.body = failed?.responseJSON;
+    error.requestId = requestId;
+    if (!options.expectedStatuses?.includes(failed?.status)) {
+      console.error(`${method} ${path.split('?')[0]} failed with ${failed?.status}${requestId ? ` (request id ${requestId})` : ''}`);
+    }
+    throw error;
+  }
+
+  if (response.status === 304 && cached) {
+    return cached.body;
+  }
+
+  const etag = getHeader(response.headers, 'etag');
+  if (method === 'GET' && etag) {
+    etagCache.set(path, { etag, body: response.responseJSON });
+  }
+  return response.responseJSON;
+}
+
+// App settings from the manifest parameters, loaded once
+let settingsPromise = null;
+function getSettings() {
+  if (!settingsPromise) {
+    settingsPromise = client.metadata().then(metadata => metadata.settings || {});
+  }
+  return settingsPromise;
+}
+
+// Sidebar strings live in assets/translations/<language>.json, Zendesk only serves the assets folder to
+// the iframe. The translations folder at the app root holds the app name and settings labels.
+const SUPPORTED_LANGUAGES = ['en', 'fr', 'de'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Agent locale as Zendesk reports it (e.g. "de-CH"), used as is for Intl formatting
+let locale = DEFAULT_LANGUAGE;
+// Language of the strings in use, which picks the plural forms
+let language = DEFAULT_LANGUAGE;
+let strings = {};
+let fallbackStrings = {};
+
+async function loadStrings(language) {
+  const response = await fetch(`translations/${language}.json`);
+  if (!response.ok) {
+    throw new Error(`Could not load ${language} translations (${response.status})`);
+  }
+  return response.json();
+}
+
+// Strings for the agent's language, with English for anything missing
+async function initTranslations() {
+  try {
+    const data = await client.get('currentUser.locale');
+    locale = data['currentUser.locale'] || DEFAULT_LANGUAGE;
+  } catch (err) {
+    console.error('Could not read agent locale:', err);
+  }
+
+  const agentLanguage = locale.split('-')[0].toLowerCase();
+  fallbackStrings = await loadStrings(DEFAULT_LANGUAGE);
+  strings = fallbackStrings;
+  language = DEFAULT_LANGUAGE;
+  if (agentLanguage !== DEFAULT_LANGUAGE && SUPPORTED_LANGUAGES.includes(agentLanguage)) {
+    try {
+      strings = await loadStrings(agentLanguage);
+      language = agentLanguage;
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  document.documentElement.lang = language;
+  translatePage();
+}
+
+function lookupString(table, key) {
+  return key.split('.').reduce((node, part) => node?.[part], table);
+}
 
-    const data = await response.json();
+function hasString(key) {
+  return lookupString(strings, key) != null || lookupString(fallbackStrings, key) != null;
+}
+
+// t('alerts.archived'), t('card.title', { number: 2 }). Entries with "one"/"other" forms
+// are picked by values.count using the plural rules of the strings' language.
+function t(key, values = {}) {
+  let text = lookupString(strings, key) ?? lookupString(fallbackStrings, key);
+  if (text && typeof text === 'object' && values.count != null) {
+    text = text[new Intl.PluralRules(language).select(values.count)] ?? text.other;
+  }
+  return typeof text === 'string' ? renderTemplate(text, values) : key;
+}
+
+// Static text in iframe.html is marked with data-i18n / data-i18n-placeholder
+function translatePage() {
+  document.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.getAttribute('data-i18n'));
+  });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+    el.placeholder = t(el.getAttribute('data-i18n-placeholder'));
+  });
+}
+
+// Status names from getStatusColor's set, anything ShipRelay adds later shows as it comes
+function formatStatus(status) {
+  if (!status) return '--';
+  const key = `statuses.${status.toLowerCase()}`;
+  return hasString(key) ? t(key) : status;
+}
+
+function formatDate(value, options = { dateStyle: 'medium' }) {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? new Intl.DateTimeFormat(locale, options).format(date) : '--';
+}
+
+function formatDateTime(value) {
+  return formatDate(value, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Countries that write the postal code before the city
+const ZIP_FIRST_COUNTRIES = ['AT', 'BE', 'CH', 'DE', 'DK', 'ES', 'FI', 'FR', 'IT', 'LI', 'LU', 'NL', 'NO', 'PT', 'SE'];
+
+function formatCountry(country) {
+  if (!/^[A-Za-z]{2}$/.test(country || '')) {
+    return country;
+  }
+  try {
+    return new Intl.DisplayNames([locale], { type: 'region' }).of(country.toUpperCase());
+  } catch (err) {
+    return country;
+  }
+}
+
+// Address as lines, in the order the destination country writes them, country name in the agent's language
+function formatAddressLines(address) {
+  const zipFirst = ZIP_FIRST_COUNTRIES.includes(String(address.country || '').toUpperCase());
+  const cityLine = zipFirst
+    ? [address.zip, address.city].filter(Boolean).join(' ')
+    : [[address.city, address.region].filter(Boolean).join(', '), address.zip].filter(Boolean).join(' ');
+
+  return [
+    address.name,
+    [address.address1, address.address2].filter(Boolean).join(', '),
+    cityLine,
+    zipFirst ? address.region : null,
+    formatCountry(address.country)
+  ].filter(Boolean);
+}
+
+// Shipments currently shown, so card buttons can look up the full shipment by id
+let currentShipments = [];
+
+// Paging and hidden-shipment info from the last lookup
+let currentMeta = null;
+
+// Last search run ({ mode, value, includeAll }), repeated after every action to refresh the cards
+let currentSearch = null;
+
+// Option, label and placeholder text per search mode (order_ref, email, name, tracking_number)
+function getSearchModeText(mode, field) {
+  return t(`search.modes.${mode}.${field}`);
+}
+
+async function getShipments({ mode, value, includeAll }, page = 1) {
+  try {
+    const query = `${mode}=${encodeURIComponent(value)}&include=items&page=${page}${includeAll ? '&include_all=true' : ''}`;
+    const data = await backendRequest(`/shipment?${query}`);
     const shipments = data?.data || [];
 
-    console.log(`Found ${shipments.length} shipments for order ${orderRef}`);
-    return shipments;
+    console.log(`Found ${shipments.length} shipments by ${mode}`);
+    return { shipments, meta: data?.meta || null };
   } catch (error) {
     console.error('Error fetching shipments:', error);
-    return [];
+    return { shipments: [], meta: null };
   }
 }
 
@@ -33,6 +270,20 @@ function canEditShipment(status) {
   return editableStatuses.includes(status?.toLowerCase());
 }
 
+function canHoldShipment(status) {
+  // Only shipments still waiting in the queue can be put on hold
+  return status?.toLowerCase() === 'queued';
+}
+
+function canReleaseShipment(status) {
+  return status?.toLowerCase() === 'held';
+}
+
+function canReplaceShipment(status) {
+  // Lost or damaged parcels, same rule as REPLACEABLE_STATUSES in the backend
+  return status?.toLowerCase() === 'shipped';
+}
+
 function getStatusColor(status) {
   const statusColors = {
     'queued': '#f59e0b',      // amber
@@ -46,56 +297,190 @@ function getStatusColor(status) {
   return statusColors[status?.toLowerCase()] || '#6b7280';
 }
 
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Labels are under address.<name> in the translations
+const ADDRESS_FORM_FIELDS = [
+  { name: 'name', required: true },
+  { name: 'address1', required: true },
+  { name: 'address2' },
+  { name: 'city', required: true },
+  { name: 'region' },
+  { name: 'zip', required: true },
+  { name: 'country', required: true }
+];
+
+function createAddressForm(shipment) {
+  const address = shipment.address || {};
+  
+  return `
+    <form class="address-form" data-shipment-id="${shipment.id}" style="display: none;" novalidate>
+      ${ADDRESS_FORM_FIELDS.map(field => `
+        <label class="address-field">
+          <span>${t(`address.${field.name}`)}${field.required ? ' *' : ''}</span>
+          <input name="${field.name}" type="text" value="${escapeHtml(address[field.name])}" ${field.required ? 'required' : ''} />
+          <span class="field-error" data-field="${field.name}"></span>
+        </label>
+      `).join('')}
+      <div class="field-error form-error" data-field="_form"></div>
+      <div class="address-form-actions">
+        <button type="button" class="cancel-address-btn">${t('buttons.cancel')}</button>
+        <button type="submit" class="save-address-btn">${t('buttons.save_address')}</button>
+      </div>
+    </form>
+  `;
+}
+
+// Reason, per-item quantities (0 leaves an item out) and an optional different address
+function createReplacementForm(shipment) {
+  const address = shipment.address || {};
+  const items = (shipment.line_items || []).filter(item => item.product_id != null);
+
+  return `
+    <form class="replacement-form" data-shipment-id="${shipment.id}" style="display: none;" novalidate>
+      <label class="address-field">
+        <span>${t('replacement.reason')} *</span>
+        <textarea name="reason" rows="2" placeholder="${escapeHtml(t('replacement.reason_placeholder'))}" required></textarea>
+        <span class="field-error" data-field="reason"></span>
+      </label>
+      ${items.map(item => `
+        <label class="address-field replacement-item">
+          <span>${escapeHtml(item.name || t('card.unknown_product'))}${item.sku ? ` <span class="item-sku">${escapeHtml(item.sku)}</span>` : ''}</span>
+          <input name="quantity" type="number" min="0" step="1" value="${item.quantity}" data-product-id="${escapeHtml(item.product_id)}" />
+        </label>
+      `).join('')}
+      <details class="replacement-address">
+        <summary>${t('replacement.different_address')}</summary>
+        ${ADDRESS_FORM_FIELDS.map(field => `
+          <label class="address-field">
+            <span>${t(`address.${field.name}`)}${field.required ? ' *' : ''}</span>
+            <input name="${field.name}" type="text" value="${escapeHtml(address[field.name])}" />
+            <span class="field-error" data-field="${field.name}"></span>
+          </label>
+        `).join('')}
+      </details>
+      <div class="field-error form-error" data-field="_form"></div>
+      <div class="address-form-actions">
+        <button type="button" class="cancel-replacement-btn">${t('buttons.cancel')}</button>
+        <button type="submit" class="save-address-btn send-replacement-btn">${t('buttons.send_replacement')}</button>
+      </div>
+    </form>
+  `;
+}
+
+function createItemsList(lineItems) {
+  if (!lineItems || lineItems.length === 0) {
+    return `<div class="no-items">${t('card.no_items')}</div>`;
+  }
+
+  return lineItems.map(item => `
+    <div class="order-item">
+      ${item.image ? `<img class="item-image" src="${escapeHtml(item.image)}" alt="" />` : ''}
+      <span class="item-quantity">${item.quantity}×</span>
+      <span class="item-details">
+        ${escapeHtml(item.name || t('card.unknown_product'))}
+        ${item.sku ? `<span class="item-sku">${escapeHtml(item.sku)}</span>` : ''}
+      </span>
+    </div>
+  `).join('');
+}
+
 function createShipmentCard(shipment, index, totalShipments) {
   const canArchive = canArchiveShipment(shipment.status);
   const canEdit = canEditShipment(shipment.status);
+  const canHold = canHoldShipment(shipment.status);
+  const canRelease = canReleaseShipment(shipment.status);
+  const canReplace = canReplaceShipment(shipment.status);
   const statusColor = getStatusColor(shipment.status);
   const showToggle = totalShipments > 1;
   
-  // Format shipping address
-  const address = shipment.address;
-  const shippingAddress = address ? 
-    `${address.name || ''}<br>
-     ${address.address1 || ''}${address.address2 ? ', ' + address.address2 : ''}<br>
-     ${address.city || ''}, ${address.region || ''} ${address.zip || ''}<br>
-     ${address.country || ''}`.replace(/,\s*<br>/g, '<br>').replace(/<br>\s*<br>/g, '<br>') 
-    : 'Address not available';
+  const shippingAddress = shipment.address
+    ? formatAddressLines(shipment.address).map(escapeHtml).join('<br>')
+    : t('card.address_unavailable');
   
   // Create ShipRelay console link
   const shiprelayLink = `https://console.shiprelay.com/shipments/${shipment.id}`;
   
   return `
-    <div class="shipment-card" style="border-left: 4px solid ${statusColor};" data-shipment-index="${index}">
+    <div class="shipment-card" style="border-left: 4px solid ${statusColor};" data-shipment-index="${index}" data-shipment-id="${shipment.id}">
       <div class="shipment-header" ${showToggle ? `onclick="toggleShipmentDetails(${index})"` : ''}>
-        <span class="shipment-title">Shipment #${index + 1}</span>
+        <span class="shipment-title">${t('card.title', { number: index + 1 })}</span>
         <div class="header-right">
-          <span class="shipment-status" style="color: ${statusColor};">${shipment.status || '--'}</span>
+          <span class="shipment-status" style="color: ${statusColor};">${escapeHtml(formatStatus(shipment.status))}</span>
           ${showToggle ? '<span class="expand-icon">▼</span>' : ''}
         </div>
       </div>
       <div class="shipment-details" ${showToggle ? 'style="display: none;"' : ''}>
+        <div class="order-contents">
+          <p><strong>${t('card.items')}</strong></p>
+          <div class="items-list">${createItemsList(shipment.line_items)}</div>
+        </div>
         <div class="address-section">
-          <p><strong>Shipping to:</strong></p>
+          <p><strong>${t('card.shipping_to')}</strong>
+            ${canEdit ? `<button type="button" class="edit-address-btn" data-shipment-id="${shipment.id}">${t('card.edit')}</button>` : ''}
+          </p>
           <div class="shipping-address">${shippingAddress}</div>
+          ${canEdit ? createAddressForm(shipment) : ''}
         </div>
-        <p><strong>Updated:</strong> ${new Date(shipment.updated_at).toLocaleDateString() || '--'}</p>
-        ${shipment.tracking?.tracking_number ? `<p><strong>Tracking:</strong> ${shipment.tracking.tracking_number}</p>` : ''}
-        ${canEdit ? `<p><strong>ShipRelay:</strong> <a href="${shiprelayLink}" target="_blank" class="shiprelay-link">View/Edit Order →</a></p>` : ''}
+        <p><strong>${t('card.updated')}</strong> ${formatDate(shipment.updated_at)}</p>
+        ${shipment.tracking?.tracking_number ? `
+          <p><strong>${t('card.tracking')}</strong> ${escapeHtml(shipment.tracking.tracking_number)}
+            <button type="button" class="tracking-toggle-btn" data-shipment-id="${shipment.id}">${t('tracking.show')}</button>
+          </p>
+          <div class="tracking-timeline" style="display: none;"></div>
+        ` : ''}
+        ${canEdit ? `<p><strong>${t('card.shiprelay')}</strong> <a href="${shiprelayLink}" target="_blank" class="shiprelay-link">${t('card.view_in_shiprelay')}</a></p>` : ''}
+        ${canReplace ? createReplacementForm(shipment) : ''}
       </div>
       <div class="shipment-actions" ${showToggle ? 'style="display: none;"' : ''}>
-        ${canArchive ? `<button class="archive-btn" data-shipment-id="${shipment.id}">Archive</button>` : 
-          (shipment.status?.toLowerCase() === 'inactive' ? '<span class="status-note">Already archived</span>' : '')}
+        ${canHold ? `<button class="hold-btn" data-shipment-id="${shipment.id}">${t('buttons.hold')}</button>` : ''}
+        ${canRelease ? `<button class="release-btn" data-shipment-id="${shipment.id}">${t('buttons.release')}</button>` : ''}
+        ${canReplace ? `<button class="replace-btn" data-shipment-id="${shipment.id}">${t('buttons.send_replacement')}</button>` : ''}
+        <button class="insert-reply-btn" data-shipment-id="${shipment.id}">${t('buttons.insert_reply')}</button>
+        ${canArchive ? `<button class="archive-btn" data-shipment-id="${shipment.id}">${t('buttons.archive')}</button>` : 
+          (shipment.status?.toLowerCase() === 'inactive' ? `<span class="status-note">${t('card.already_archived')}</span>` : '')}
       </div>
     </div>
   `;
 }
 
-document.getElementById('searchBtn').addEventListener('click', async () => {
-  const orderRef = document.getElementById('orderInput').value.trim();
-  if (!orderRef) {
-    alert('Please enter an Order Reference Number');
-    return;
+// With nothing typed in, fall back to the email of whoever opened the ticket
+async function getRequesterEmail() {
+  try {
+    const data = await client.get('ticket.requester.email');
+    return data['ticket.requester.email'] || null;
+  } catch (err) {
+    console.error('Could not read ticket requester:', err);
+    return null;
   }
+}
+
+// Searches the sidebar starts on its own (auto) stay quiet when there is nothing to find,
+// a ticket without an order, or a ticket number taken for one, shouldn't pop up alerts
+async function runSearch({ auto = false } = {}) {
+  const modeSelect = document.getElementById('searchMode');
+  const input = document.getElementById('orderInput');
+  let value = input.value.trim();
+
+  if (!value) {
+    const requesterEmail = await getRequesterEmail();
+    if (!requesterEmail) {
+      if (auto) return;
+      alert(t('search.enter_value', { label: getSearchModeText(modeSelect.value, 'label') }));
+      return;
+    }
+    modeSelect.value = 'email';
+    modeSelect.dispatchEvent(new Event('change'));
+    input.value = value = requesterEmail;
+  }
+
+  currentSearch = { mode: modeSelect.value, value, includeAll: false };
 
   // Reset search form to normal size while searching
   const searchForm = document.getElementById('searchForm');
@@ -103,24 +488,11 @@ document.getElementById('searchBtn').addEventListener('click', async () => {
   document.getElementById('result').style.display = 'none';
   client.invoke('resize', { width: '100%', height: '300px' });
 
-  const shipments = await getShipmentsByOrderRef(orderRef);
+  const { shipments, meta } = await getShipments(currentSearch);
 
-  if (shipments && shipments.length > 0) {
-    console.log(`Found ${shipments.length} shipments:`, shipments);
-    
-    // Build shipments container HTML
-    const shipmentsContainer = document.getElementById('shipmentsContainer');
-    shipmentsContainer.innerHTML = shipments.map((shipment, index) => 
-      createShipmentCard(shipment, index, shipments.length)
-    ).join('');
-
-    // Add event listeners to all archive buttons
-    document.querySelectorAll('.archive-btn').forEach(button => {
-      button.addEventListener('click', (e) => {
-        const shipmentId = e.target.getAttribute('data-shipment-id');
-        archiveShipment(shipmentId, orderRef);
-      });
-    });
+  // Hidden shipments still get the result view, so the agent can choose to show them
+  if (shipments.length > 0 || meta?.hidden?.count > 0) {
+    renderShipments(shipments, meta);
 
     document.getElementById('result').style.display = 'block';
 
@@ -129,16 +501,24 @@ document.getElementById('searchBtn').addEventListener('click', async () => {
     
     // Calculate height based on number of shipments
     const baseHeight = 250;
-    const cardHeight = 120;
+    const cardHeight = 180;
     const totalHeight = baseHeight + (shipments.length * cardHeight);
     
     setTimeout(() => {
       client.invoke('resize', { width: '100%', height: `${Math.min(totalHeight, 600)}px` });
     }, 100);
   } else {
-    alert('No shipments found for that Order Reference Number');
+    if (!auto) {
+      alert(t('search.no_results', { label: getSearchModeText(currentSearch.mode, 'label') }));
+    }
     document.getElementById('result').style.display = 'none';
   }
+}
+
+document.getElementById('searchBtn').addEventListener('click', () => runSearch());
+
+document.getElementById('searchMode').addEventListener('change', (e) => {
+  document.getElementById('orderInput').placeholder = getSearchModeText(e.target.value, 'placeholder');
 });
 
 document.getElementById('orderInput').addEventListener('keydown', async (e) => {
@@ -148,38 +528,733 @@ document.getElementById('orderInput').addEventListener('keydown', async (e) => {
   }
 });
 
-async function archiveShipment(shipmentId, orderRef) {
+function createResultsSummary(meta) {
+  const hidden = meta?.hidden;
+  if (currentSearch.includeAll) {
+    return `<span>${t('results.showing_all', { count: meta?.total ?? currentShipments.length })}</span>
+      <button type="button" class="toggle-hidden-btn">${t('results.hide_inactive')}</button>`;
+  }
+  if (!hidden?.count) {
+    return '';
+  }
+
+  const statusCounts = {};
+  hidden.reasons.forEach(({ status, count }) => {
+    statusCounts[status] = (statusCounts[status] || 0) + count;
+  });
+  const breakdown = Object.entries(statusCounts).map(([status, count]) => `${count} ${formatStatus(status)}`).join(', ');
+
+  return `<span>${escapeHtml(t('results.hidden', { count: hidden.count, breakdown }))}</span>
+    <button type="button" class="toggle-hidden-btn">${t('results.show_hidden')}</button>`;
+}
+
+async function toggleHiddenShipments() {
+  currentSearch.includeAll = !currentSearch.includeAll;
+  await refreshShipments();
+  resizeToContent();
+}
+
+async function loadMoreShipments() {
+  const { shipments, meta } = await getShipments(currentSearch, currentMeta.page + 1);
+  renderShipments([...currentShipments, ...shipments], meta);
+  resizeToContent();
+}
+
+// Order the Shopify panel is about: the one searched for, or the only one among the results
+function getPanelOrderRef(shipments) {
+  if (currentSearch?.mode === 'order_ref') {
+    return currentSearch.value;
+  }
+  const orderRefs = [...new Set(shipments.map(shipment => shipment.order_ref).filter(Boolean))];
+  return orderRefs.length === 1 ? orderRefs[0] : null;
+}
+
+function formatShopifyStatus(status) {
+  return status ? status.toLowerCase().replace(/_/g, ' ') : '--';
+}
+
+function formatMoney(money) {
+  if (!money) {
+    return '--';
+  }
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: money.currency }).format(Number(money.amount));
+  } catch (err) {
+    return `${money.amount} ${money.currency}`;
+  }
+}
+
+// The backend's English message is kept for mismatch types this version of the sidebar doesn't know
+function formatMismatch(order, mismatch) {
+  const key = `mismatches.${mismatch.type}`;
+  if (!hasString(key)) {
+    return mismatch.message;
+  }
+  const count = mismatch.type === 'archived_but_open' ? mismatch.fulfillment_order_ids.length : mismatch.shipment_ids.length;
+  return t(key, { count, status: formatShopifyStatus(order.financial_status) });
+}
+
+function createShopifyOrderPanel(order, mismatches) {
+  const warnings = mismatches.map(mismatch => `
+    <div class="order-mismatch">⚠️ ${escapeHtml(formatMismatch(order, mismatch))}</div>
+  `).join('');
+
+  const customer = order.customer
+    ? `<p><strong>${t('shopify.customer')}</strong> ${escapeHtml(order.customer.name || '--')}${order.customer.email ? ` (${escapeHtml(order.customer.email)})` : ''}</p>`
+    : '';
+
+  const lineItems = order.line_items.map(item => `
+    <li>${item.quantity} × ${escapeHtml(item.name)}${item.sku ? ` <span class="item-sku">${escapeHtml(item.sku)}</span>` : ''} — ${formatMoney(item.total)}</li>
+  `).join('');
+
+  const fulfillmentOrders = order.fulfillment_orders.map(fulfillmentOrder => `
+    <li>${escapeHtml(fulfillmentOrder.id.split('/').pop())}: ${escapeHtml(formatShopifyStatus(fulfillmentOrder.status))}
+      <span class="fo-request-status">(${escapeHtml(formatShopifyStatus(fulfillmentOrder.request_status))})</span></li>
+  `).join('');
+
+  return `
+    <div class="shopify-order-header">
+      <h3>${escapeHtml(t('shopify.title', { name: order.name }))}</h3>
+      <span class="shopify-status">${escapeHtml(formatShopifyStatus(order.financial_status))}${order.cancelled_at ? ` · ${t('shopify.cancelled')}` : ''}</span>
+    </div>
+    ${warnings}
+    ${customer}
+    <p><strong>${t('shopify.total')}</strong> ${formatMoney(order.total)} · ${escapeHtml(formatShopifyStatus(order.fulfillment_status))}</p>
+    <details class="shopify-order-details">
+      <summary>${t('shopify.line_items', { count: order.line_items.length })}, ${t('shopify.fulfillment_orders', { count: order.fulfillment_orders.length })}</summary>
+      <ul class="shopify-line-items">${lineItems}</ul>
+      <ul class="shopify-fulfillment-orders">${fulfillmentOrders}</ul>
+    </details>
+  `;
+}
+
+async function renderShopifyOrder(orderRef) {
+  const panel = document.getElementById('shopifyOrder');
+  panel.dataset.orderRef = orderRef || '';
+
+  if (!orderRef) {
+    panel.innerHTML = '';
+    panel.style.display = 'none';
+    return;
+  }
+
   try {
-    const response = await fetch(`https://shiprelay-backend.onrender.com/api/shiprelay/shipment/${shipmentId}/archive`, {
-      method: 'PATCH'
+    // 404 is an order Shopify doesn't have or a brand without a store, neither is worth a console line
+    const { data: order, mismatches } = await backendRequest(`/shopify/order?order_ref=${encodeURIComponent(orderRef)}`, {
+      expectedStatuses: [404]
     });
+    // A newer search may have replaced this one while Shopify was answering
+    if (panel.dataset.orderRef !== orderRef) return;
+
+    panel.innerHTML = createShopifyOrderPanel(order, mismatches || []);
+    panel.style.display = 'block';
+    panel.querySelector('.shopify-order-details').addEventListener('toggle', resizeToContent);
+  } catch (error) {
+    // Shipments are still useful without the Shopify side, e.g. for orders from other channels
+    if (error.status !== 404) {
+      console.warn(`Could not load Shopify order ${orderRef}:`, error);
+    }
+    if (panel.dataset.orderRef !== orderRef) return;
+    panel.innerHTML = '';
+    panel.style.display = 'none';
+  }
+  resizeToContent();
+}
 
-    if (!response.ok) throw new Error('Archive failed');
+function renderShipments(shipments, meta) {
+  currentShipments = shipments;
+  currentMeta = meta;
 
-    alert('Shipment archived successfully');
+  renderShopifyOrder(getPanelOrderRef(shipments));
 
-    // Refresh the shipments list
-    const shipments = await getShipmentsByOrderRef(orderRef);
-    
-    if (shipments && shipments.length > 0) {
-      // Rebuild shipments container HTML
-      const shipmentsContainer = document.getElementById('shipmentsContainer');
-      shipmentsContainer.innerHTML = shipments.map((shipment, index) => 
-        createShipmentCard(shipment, index, shipments.length)
-      ).join('');
-
-      // Re-add event listeners to archive buttons
-      document.querySelectorAll('.archive-btn').forEach(button => {
-        button.addEventListener('click', (e) => {
-          const newShipmentId = e.target.getAttribute('data-shipment-id');
-          archiveShipment(newShipmentId, orderRef);
-        });
-      });
+  const summary = document.getElementById('resultsSummary');
+  summary.innerHTML = createResultsSummary(meta);
+  summary.style.display = summary.innerHTML ? 'flex' : 'none';
+  summary.querySelector('.toggle-hidden-btn')?.addEventListener('click', toggleHiddenShipments);
+
+  const archivable = shipments.filter(shipment => canArchiveShipment(shipment.status));
+  const bulkActions = document.getElementById('bulkActions');
+  bulkActions.innerHTML = archivable.length > 1
+    ? `<button type="button" class="archive-all-btn">${t('results.archive_all', { count: archivable.length })}</button>`
+    : '';
+  bulkActions.style.display = archivable.length > 1 ? 'flex' : 'none';
+  bulkActions.querySelector('.archive-all-btn')?.addEventListener('click', () => archiveAllShipments(archivable));
+
+  const loadMore = document.getElementById('loadMoreBtn');
+  loadMore.style.display = meta && meta.page < meta.total_pages ? 'block' : 'none';
+  loadMore.onclick = loadMoreShipments;
+
+  const shipmentsContainer = document.getElementById('shipmentsContainer');
+  shipmentsContainer.innerHTML = shipments.map((shipment, index) => 
+    createShipmentCard(shipment, index, shipments.length)
+  ).join('');
+
+  // Wire up the action buttons on every card
+  document.querySelectorAll('.archive-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      const shipmentId = e.target.getAttribute('data-shipment-id');
+      archiveShipment(shipmentId);
+    });
+  });
+
+  // Cards are rebuilt on every refresh, an archive still waiting for Undo keeps its toast
+  pendingArchives.forEach((_, shipmentId) => renderUndoToast(shipmentId));
+
+  document.querySelectorAll('.hold-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      const shipmentId = e.target.getAttribute('data-shipment-id');
+      updateShipmentStatus(shipmentId, 'hold');
+    });
+  });
+
+  document.querySelectorAll('.release-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      const shipmentId = e.target.getAttribute('data-shipment-id');
+      updateShipmentStatus(shipmentId, 'release');
+    });
+  });
+
+  document.querySelectorAll('.insert-reply-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      const shipmentId = e.target.getAttribute('data-shipment-id');
+      insertShipmentSummary(shipmentId);
+    });
+  });
+
+  document.querySelectorAll('.tracking-toggle-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      toggleTrackingTimeline(e.target);
+    });
+  });
+
+  document.querySelectorAll('.edit-address-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      const section = e.target.closest('.address-section');
+      toggleAddressForm(section, true);
+    });
+  });
+
+  document.querySelectorAll('.cancel-address-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      const section = e.target.closest('.address-section');
+      toggleAddressForm(section, false);
+    });
+  });
+
+  document.querySelectorAll('.address-form').forEach(form => {
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      saveShipmentAddress(form);
+    });
+  });
+
+  document.querySelectorAll('.replace-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      toggleReplacementForm(e.target.closest('.shipment-card'), true);
+    });
+  });
+
+  document.querySelectorAll('.cancel-replacement-btn').forEach(button => {
+    button.addEventListener('click', (e) => {
+      toggleReplacementForm(e.target.closest('.shipment-card'), false);
+    });
+  });
+
+  document.querySelectorAll('.replacement-form').forEach(form => {
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      sendReplacement(form);
+    });
+    form.querySelector('.replacement-address').addEventListener('toggle', resizeToContent);
+  });
+}
+
+function toggleReplacementForm(card, show) {
+  card.querySelector('.replacement-form').style.display = show ? 'flex' : 'none';
+  card.querySelector('.replace-btn').style.display = show ? 'none' : 'inline-block';
+  if (show) {
+    card.querySelector('.replacement-form textarea[name="reason"]').focus();
+  }
+
+  resizeToContent();
+}
+
+function toggleAddressForm(section, show) {
+  section.querySelector('.address-form').style.display = show ? 'flex' : 'none';
+  section.querySelector('.shipping-address').style.display = show ? 'none' : 'block';
+  section.querySelector('.edit-address-btn').style.display = show ? 'none' : 'inline-block';
+
+  resizeToContent();
+}
+
+// Fit the iframe to whatever is currently expanded
+function resizeToContent() {
+  setTimeout(() => {
+    const container = document.querySelector('.container');
+    client.invoke('resize', { width: '100%', height: `${Math.max(container.scrollHeight + 20, 300)}px` });
+  }, 100);
+}
+
+function createTrackingTimeline(tracking) {
+  const header = `
+    <div class="tracking-summary">
+      ${escapeHtml([tracking.carrier, tracking.service].filter(Boolean).join(' · ') || t('tracking.unknown_carrier'))}
+      ${tracking.tracking_url ? `<a href="${escapeHtml(tracking.tracking_url)}" target="_blank" class="shiprelay-link">${t('tracking.track_parcel')}</a>` : ''}
+    </div>
+  `;
+
+  if (!tracking.events || tracking.events.length === 0) {
+    return `${header}<div class="no-items">${t('tracking.no_events')}</div>`;
+  }
+
+  return `${header}
+    <ol class="timeline-events">
+      ${tracking.events.map(event => `
+        <li class="timeline-event">
+          <span class="event-time">${formatDateTime(event.occurred_at)}</span>
+          <span class="event-description">${escapeHtml(event.description || event.status || '--')}</span>
+          ${event.location ? `<span class="event-location">${escapeHtml(event.location)}</span>` : ''}
+        </li>
+      `).join('')}
+    </ol>
+  `;
+}
+
+async function toggleTrackingTimeline(button) {
+  const timeline = button.closest('.shipment-details').querySelector('.tracking-timeline');
+  const isExpanded = timeline.style.display !== 'none';
+
+  if (isExpanded) {
+    timeline.style.display = 'none';
+    button.textContent = t('tracking.show');
+    resizeToContent();
+    return;
+  }
+
+  // Only hit the backend the first time the timeline is opened
+  if (!timeline.dataset.loaded) {
+    button.disabled = true;
+    button.textContent = t('tracking.loading');
+    try {
+      const response = await backendRequest(`/shipment/${button.getAttribute('data-shipment-id')}/tracking`);
+      timeline.innerHTML = createTrackingTimeline(response.data);
+      timeline.dataset.loaded = 'true';
+    } catch (err) {
+      console.error('Tracking fetch failed:', err);
+      timeline.innerHTML = `<div class="no-items">${t('tracking.unavailable')}</div>`;
+    } finally {
+      button.disabled = false;
     }
-    
+  }
+
+  timeline.style.display = 'block';
+  button.textContent = t('tracking.hide');
+  resizeToContent();
+}
+
+function showAddressErrors(form, fields = {}, message = '') {
+  form.querySelectorAll('.field-error').forEach(el => {
+    el.textContent = '';
+  });
+  form.querySelectorAll('input, textarea').forEach(input => {
+    input.classList.remove('invalid');
+  });
+
+  Object.entries(fields).forEach(([field, messages]) => {
+    const errorEl = form.querySelector(`.field-error[data-field="${field}"]`);
+    const input = form.querySelector(`input[name="${field}"], textarea[name="${field}"]`);
+    if (errorEl && input) {
+      errorEl.textContent = messages.join(' ');
+      input.classList.add('invalid');
+    } else {
+      // ShipRelay may complain about a field we don't show, keep it visible anyway
+      message = `${message} ${field}: ${messages.join(' ')}`.trim();
+    }
+  });
+
+  form.querySelector('.form-error').textContent = message;
+}
+
+function getShipmentById(shipmentId) {
+  return currentShipments.find(shipment => String(shipment.id) === String(shipmentId));
+}
+
+async function saveShipmentAddress(form) {
+  const shipmentId = form.getAttribute('data-shipment-id');
+  const address = {};
+  ADDRESS_FORM_FIELDS.forEach(field => {
+    address[field.name] = form.querySelector(`input[name="${field.name}"]`).value.trim();
+  });
+
+  const saveButton = form.querySelector('.save-address-btn');
+  saveButton.disabled = true;
+  showAddressErrors(form);
+
+  try {
+    await backendRequest(`/shipment/${shipmentId}/address`, { method: 'PUT', body: { address } });
+
+    alert(t('alerts.address_updated'));
+    await logShipmentAction({
+      action: t('notes.actions.updated_address'),
+      shipmentId,
+      details: t('notes.new_address', { address: formatAddressText(address) })
+    });
+    await refreshShipments();
   } catch (err) {
+    console.error('Address update failed:', err);
+    showAddressErrors(form, err.body?.fields, err.body?.details || t('alerts.address_update_failed'));
+  } finally {
+    saveButton.disabled = false;
+  }
+}
+
+async function sendReplacement(form) {
+  const shipmentId = form.getAttribute('data-shipment-id');
+  const reason = form.querySelector('textarea[name="reason"]').value.trim();
+
+  if (!reason) {
+    showAddressErrors(form, {}, t('alerts.replacement_reason_required'));
+    form.querySelector('textarea[name="reason"]').focus();
+    return;
+  }
+
+  const body = { reason };
+  const quantityInputs = form.querySelectorAll('input[name="quantity"]');
+  if (quantityInputs.length > 0) {
+    body.items = Array.from(quantityInputs).map(input => ({
+      product_id: input.getAttribute('data-product-id'),
+      quantity: Number(input.value)
+    }));
+  }
+  // Only send an address when the agent opened the address fields, otherwise the original one is used
+  if (form.querySelector('.replacement-address').open) {
+    body.address = {};
+    ADDRESS_FORM_FIELDS.forEach(field => {
+      body.address[field.name] = form.querySelector(`input[name="${field.name}"]`).value.trim();
+    });
+  }
+
+  const sendButton = form.querySelector('.send-replacement-btn');
+  sendButton.disabled = true;
+  showAddressErrors(form);
+
+  try {
+    const result = await backendRequest(`/shipment/${shipmentId}/replace`, { method: 'POST', body });
+    const replacement = result.data;
+
+    alert(t('alerts.replacement_created', { order_ref: replacement.order_ref }));
+    await logShipmentAction({
+      action: t('notes.actions.sent_replacement'),
+      shipmentId,
+      details: t('notes.replacement_details', { reason, id: replacement.id, order_ref: replacement.order_ref })
+    });
+    await refreshShipments();
+  } catch (err) {
+    console.error('Replacement failed:', err);
+    showAddressErrors(form, err.body?.fields, err.body?.details || t('alerts.replacement_failed'));
+  } finally {
+    sendButton.disabled = false;
+  }
+}
+
+async function refreshShipments() {
+  const { shipments, meta } = await getShipments(currentSearch);
+  
+  if (shipments.length > 0 || meta?.hidden?.count > 0) {
+    renderShipments(shipments, meta);
+  }
+}
+
+// Seconds an archive waits for Undo before anything is sent to ShipRelay or Shopify
+const ARCHIVE_UNDO_SECONDS = 5;
+
+// Shipment id -> { secondsLeft, timer } for archives still inside the undo window
+const pendingArchives = new Map();
+
+// Idempotency-Key per shipment, kept until the archive went through so a retry after a timeout
+// gets the first result back instead of archiving and cancelling in Shopify a second time
+const archiveKeys = new Map();
+
+// Rate limited changes say when to try again, anything else gets the action's own message
+function describeFailure(err, fallbackKey) {
+  return err.status === 429
+    ? t('alerts.rate_limited', { count: err.body?.retry_after ?? 60 })
+    : t(fallbackKey);
+}
+
+function getShipmentCard(shipmentId) {
+  return document.querySelector(`.shipment-card[data-shipment-id="${shipmentId}"]`);
+}
+
+function renderUndoToast(shipmentId) {
+  const card = getShipmentCard(shipmentId);
+  const pending = pendingArchives.get(shipmentId);
+  if (!card || !pending) return;
+
+  let toast = card.querySelector('.undo-toast');
+  if (!toast) {
+    card.insertAdjacentHTML('beforeend', `
+      <div class="undo-toast">
+        <span class="undo-message"></span>
+        <button type="button" class="undo-btn">${t('buttons.undo')}</button>
+      </div>
+    `);
+    toast = card.querySelector('.undo-toast');
+    toast.querySelector('.undo-btn').addEventListener('click', () => cancelPendingArchive(shipmentId));
+  }
+  toast.querySelector('.undo-message').textContent = t('alerts.archive_pending', { count: pending.secondsLeft });
+
+  const archiveButton = card.querySelector('.archive-btn');
+  if (archiveButton) archiveButton.disabled = true;
+}
+
+function removeUndoToast(shipmentId) {
+  const card = getShipmentCard(shipmentId);
+  card?.querySelector('.undo-toast')?.remove();
+
+  const archiveButton = card?.querySelector('.archive-btn');
+  if (archiveButton) archiveButton.disabled = false;
+  resizeToContent();
+}
+
+// Archiving only starts once the undo window ran out, a double click can't start it twice
+function archiveShipment(shipmentId) {
+  shipmentId = String(shipmentId);
+  if (pendingArchives.has(shipmentId)) return;
+
+  const pending = { secondsLeft: ARCHIVE_UNDO_SECONDS };
+  pending.timer = setInterval(() => {
+    pending.secondsLeft--;
+    if (pending.secondsLeft > 0) {
+      renderUndoToast(shipmentId);
+      return;
+    }
+
+    cancelPendingArchive(shipmentId);
+    commitArchive(shipmentId);
+  }, 1000);
+
+  pendingArchives.set(shipmentId, pending);
+  renderUndoToast(shipmentId);
+  resizeToContent();
+}
+
+function cancelPendingArchive(shipmentId) {
+  const pending = pendingArchives.get(shipmentId);
+  if (!pending) return;
+
+  clearInterval(pending.timer);
+  pendingArchives.delete(shipmentId);
+  removeUndoToast(shipmentId);
+}
+
+// The toast told the agent these are going ahead. Zendesk closing the sidebar with the ticket
+// tab sends them straight away (its proxy makes the call), a reload asks the agent to stay first.
+function commitPendingArchives() {
+  pendingArchives.forEach((_, shipmentId) => {
+    cancelPendingArchive(shipmentId);
+    commitArchive(shipmentId);
+  });
+}
+
+if (window.ZAFClient) {
+  client.on('app.willDestroy', commitPendingArchives);
+}
+
+window.addEventListener('beforeunload', (e) => {
+  if (pendingArchives.size === 0) return;
+  e.preventDefault();
+  e.returnValue = '';
+});
+
+async function commitArchive(shipmentId) {
+  if (!archiveKeys.has(shipmentId)) {
+    archiveKeys.set(shipmentId, crypto.randomUUID());
+  }
+
+  try {
+    const result = await backendRequest(`/shipment/${shipmentId}/archive`, {
+      method: 'PATCH',
+      headers: { 'Idempotency-Key': archiveKeys.get(shipmentId) }
+    });
+    archiveKeys.delete(shipmentId);
+    const shopify = result?.shopify_cancellation;
+    const shopifyOpen = shopify && ['failed', 'partial'].includes(shopify.status);
+    const retryNote = shopify?.retry ? ` ${t('alerts.retry_note')}` : '';
+
+    if (shopifyOpen) {
+      alert(`${t('alerts.archived_shopify_open', { details: shopify.details })}${retryNote}`);
+    } else {
+      alert(t('alerts.archived'));
+    }
+
+    await logShipmentAction({
+      action: t('notes.actions.archived'),
+      shipmentId,
+      details: shopify
+        ? `${t('notes.shopify_cancellation', { status: shopify.status, details: shopify.details })}${retryNote}`
+        : t('notes.shopify_not_attempted')
+    });
+
+    // Refresh the shipments list
+    await refreshShipments();
+  } catch (err) {
+    // The backend stored any other answer for this key, a retry should ask again under a new one.
+    // Timeouts, server errors, rate limits and a still running first attempt keep it.
+    if (err.status && err.status < 500 && ![409, 429].includes(err.status)) {
+      archiveKeys.delete(shipmentId);
+    }
     console.error('Archive failed:', err);
-    alert('Archive failed');
+    alert(describeFailure(err, 'alerts.archive_failed'));
+  }
+}
+
+async function archiveAllShipments(shipments) {
+  const list = shipments
+    .map(shipment => t('alerts.bulk_confirm_line', { id: shipment.id, status: formatStatus(shipment.status), order_ref: shipment.order_ref || '--' }))
+    .join('\n');
+  if (!confirm(`${t('alerts.bulk_confirm', { count: shipments.length })}\n\n${list}`)) {
+    return;
+  }
+  // These are archived right now, a single archive still waiting for Undo would only follow up on them
+  shipments.forEach(shipment => cancelPendingArchive(String(shipment.id)));
+
+  let result;
+  try {
+    result = await backendRequest('/shipments/archive', {
+      method: 'POST',
+      headers: { 'Idempotency-Key': crypto.randomUUID() },
+      body: { shipment_ids: shipments.map(shipment => shipment.id) }
+    });
+  } catch (err) {
+    // A 502 still carries per-shipment results when every archive failed
+    if (!err.body?.results) {
+      console.error('Bulk archive failed:', err);
+      alert(describeFailure(err, 'alerts.bulk_failed'));
+      return;
+    }
+    result = err.body;
+  }
+
+  const { summary, results, shopify_cancellations: shopify } = result;
+  const failures = results.filter(item => item.status !== 'archived')
+    .map(item => t('alerts.bulk_failure_line', { id: item.id, status: item.status, error: item.error }));
+  const shopifyProblems = Object.entries(shopify || {})
+    .filter(([, cancellation]) => ['failed', 'partial'].includes(cancellation.status))
+    .map(([orderRef, cancellation]) => {
+      const line = t('alerts.bulk_shopify_line', { order_ref: orderRef, details: cancellation.details });
+      return cancellation.retry ? `${line} ${t('alerts.will_retry')}` : line;
+    });
+
+  alert([
+    t('alerts.bulk_summary', { archived: summary.archived, count: summary.requested }),
+    ...(failures.length > 0 ? ['', t('alerts.bulk_not_archived'), ...failures] : []),
+    ...(shopifyProblems.length > 0 ? ['', t('alerts.bulk_shopify_open'), ...shopifyProblems] : [])
+  ].join('\n'));
+
+  const orderRefs = [...new Set(results.map(item => item.order_ref).filter(Boolean))];
+  await logShipmentAction({
+    action: t('notes.actions.bulk_archived'),
+    shipmentId: results.filter(item => item.status === 'archived').map(item => item.id).join(', ') || 'none',
+    orderRef: orderRefs.join(', '),
+    details: [
+      ...failures,
+      ...Object.entries(shopify || {}).map(([orderRef, cancellation]) => t('notes.shopify_cancellation_for', {
+        order_ref: orderRef,
+        status: cancellation.status,
+        details: cancellation.details
+      }))
+    ].join('\n')
+  });
+
+  await refreshShipments();
+}
+
+async function updateShipmentStatus(shipmentId, action) {
+  const label = action === 'hold' ? 'held' : 'released';
+
+  try {
+    await backendRequest(`/shipment/${shipmentId}/${action}`, { method: 'PATCH' });
+
+    alert(t(`alerts.${label}`));
+    await logShipmentAction({ action: t(`notes.actions.${label}`), shipmentId });
+    await refreshShipments();
+  } catch (err) {
+    console.error(`${action} failed:`, err);
+    alert(describeFailure(err, `alerts.${action}_failed`));
+  }
+}
+
+// Without a replyTemplate / actionNoteTemplate setting, templates.reply / templates.action_note
+// from the agent's translations are used
+// Replaces {{placeholders}} with values, unknown placeholders render empty
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => values[key] ?? '');
+}
+
+function formatAddressText(address) {
+  if (!address) return t('card.address_unavailable');
+  return formatAddressLines(address).join('\n');
+}
+
+async function getTrackingLink(shipment) {
+  if (!shipment.tracking?.tracking_number) {
+    return t('templates.tracking_not_available');
+  }
+
+  try {
+    const response = await backendRequest(`/shipment/${shipment.id}/tracking`);
+    return response.data.tracking_url || shipment.tracking.tracking_number;
+  } catch (err) {
+    console.error('Tracking link lookup failed:', err);
+    return shipment.tracking.tracking_number;
+  }
+}
+
+async function insertShipmentSummary(shipmentId) {
+  const shipment = getShipmentById(shipmentId);
+  if (!shipment) return;
+
+  try {
+    const settings = await getSettings();
+    const summary = renderTemplate(settings.replyTemplate || t('templates.reply'), {
+      order_ref: shipment.order_ref || '--',
+      status: formatStatus(shipment.status),
+      items: (shipment.line_items || []).map(item => `${item.quantity} × ${item.name || item.sku || t('card.unknown_product')}`).join('\n') || t('card.no_items'),
+      address: formatAddressText(shipment.address),
+      tracking_link: await getTrackingLink(shipment)
+    });
+
+    // The reply editor takes HTML
+    await client.invoke('ticket.editor.insert', escapeHtml(summary).replace(/\n/g, '<br>'));
+  } catch (err) {
+    console.error('Insert into reply failed:', err);
+    alert(t('alerts.insert_failed'));
+  }
+}
+
+// Records a mutating action on the ticket as an internal note
+async function logShipmentAction({ action, shipmentId, orderRef, details = '' }) {
+  try {
+    const settings = await getSettings();
+    const data = await client.get(['ticket.id', 'currentUser.name']);
+    const note = renderTemplate(settings.actionNoteTemplate || t('templates.action_note'), {
+      agent: data['currentUser.name'],
+      action,
+      shipment_id: shipmentId,
+      order_ref: orderRef || getShipmentById(shipmentId)?.order_ref || '--',
+      details
+    });
+
+    await client.request({
+      url: `/api/v2/tickets/${data['ticket.id']}.json`,
+      type: 'PUT',
+      contentType: 'application/json',
+      data: JSON.stringify({ ticket: { comment: { body: note.trim(), public: false } } })
+    });
+  } catch (err) {
+    // The action itself already went through, a missing note shouldn't look like a failure
+    console.error('Could not add internal note to ticket:', err);
   }
 }
 
@@ -215,4 +1290,119 @@ function toggleShipmentDetails(index) {
   }, 100);
 }
 
-client.invoke('resize', { width: '100%', height: '300px' });
\ No newline at end of file
+const DEFAULT_ORDER_REF_PATTERNS = ['#\\d{3,}'];
+
+// Patterns come from the app's orderRefPatterns setting, one regex per line.
+// If a pattern has a capture group the first group is used as the order ref.
+function getOrderRefPatterns(settings) {
+  const configured = (settings.orderRefPatterns || '')
+    .split('\n')
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+
+  return (configured.length > 0 ? configured : DEFAULT_ORDER_REF_PATTERNS).flatMap(pattern => {
+    try {
+      return [new RegExp(pattern, 'g')];
+    } catch (err) {
+      console.error(`Ignoring invalid order ref pattern "${pattern}":`, err);
+      return [];
+    }
+  });
+}
+
+function htmlToText(html) {
+  return new DOMParser().parseFromString(html || '', 'text/html').body.textContent;
+}
+
+function findOrderRefs(text, patterns) {
+  const refs = [];
+  patterns.forEach(pattern => {
+    for (const match of (text || '').matchAll(pattern)) {
+      refs.push((match[1] || match[0]).trim());
+    }
+  });
+  return refs;
+}
+
+async function detectOrderRefs() {
+  const settings = await getSettings();
+  const fieldKey = settings.orderRefFieldId ? `ticket.customField:custom_field_${settings.orderRefFieldId}` : null;
+
+  // The configured custom field wins, it's set by the order integration and never ambiguous
+  if (fieldKey) {
+    const fieldData = await client.get(fieldKey);
+    const fieldValue = String(fieldData[fieldKey] ?? '').trim();
+    if (fieldValue) {
+      return [fieldValue];
+    }
+  }
+
+  const ticketData = await client.get(['ticket.subject', 'ticket.description', 'ticket.comments']);
+  const patterns = getOrderRefPatterns(settings);
+  const texts = [
+    ticketData['ticket.subject'],
+    ticketData['ticket.description'],
+    // Comment bodies are HTML, match on the text so entities like &#8217; aren't taken for order numbers
+    ...(ticketData['ticket.comments'] || []).map(comment => htmlToText(comment.value))
+  ];
+
+  return [...new Set(texts.flatMap(text => findOrderRefs(text, patterns)))];
+}
+
+function searchOrderRef(orderRef, options) {
+  const modeSelect = document.getElementById('searchMode');
+  modeSelect.value = 'order_ref';
+  modeSelect.dispatchEvent(new Event('change'));
+  document.getElementById('orderInput').value = orderRef;
+  runSearch(options);
+}
+
+function selectOrderRefOption(button, options) {
+  document.querySelectorAll('.order-ref-option').forEach(option => option.classList.remove('selected'));
+  button.classList.add('selected');
+  searchOrderRef(button.getAttribute('data-order-ref'), options);
+}
+
+function showOrderRefPicker(orderRefs) {
+  const picker = document.getElementById('orderRefPicker');
+  picker.innerHTML = `
+    <span class="picker-label">${t('search.orders_on_ticket')}</span>
+    ${orderRefs.map(orderRef => `<button type="button" class="order-ref-option" data-order-ref="${escapeHtml(orderRef)}">${escapeHtml(orderRef)}</button>`).join('')}
+  `;
+  picker.style.display = 'flex';
+
+  picker.querySelectorAll('.order-ref-option').forEach(button => {
+    button.addEventListener('click', (e) => {
+      selectOrderRefOption(e.target);
+    });
+  });
+}
+
+async function autoDetectOrderRef() {
+  try {
+    const orderRefs = await detectOrderRefs();
+    console.log(`Detected ${orderRefs.length} order refs on ticket`);
+
+    if (orderRefs.length > 1) {
+      // Let the agent switch between them, starting with the first one found
+      showOrderRefPicker(orderRefs);
+      selectOrderRefOption(document.querySelector('.order-ref-option'), { auto: true });
+    } else if (orderRefs.length === 1) {
+      searchOrderRef(orderRefs[0], { auto: true });
+    } else {
+      // No order ref on the ticket, an empty search looks up the requester's email instead
+      runSearch({ auto: true });
+    }
+  } catch (err) {
+    console.error('Order ref detection failed:', err);
+  }
+}
+
+client.invoke('resize', { width: '100%', height: '300px' });
+
+if (window.ZAFClient) {
+  wakeBackend();
+  initTranslations()
+    .catch(err => console.error('Could not load translations:', err))
+    .then(autoDetectOrderRef);
+}
\ No newline at end of file
@@ -0,0 +1,198 @@
+// Seed data for demo mode. Dates are relative to startup so the sidebar always looks current.
+// Order refs line up with the Shopify orders below, so archives cancel real (fake) fulfillment orders.
+
+function daysAgo(days, hours = 0) {
+  return new Date(Date.now() - (days * 24 + hours) * 60 * 60 * 1000).toISOString();
+}
+
+export function createProducts() {
+  return [
+    { id: 501, name: 'Linen Throw Pillow', sku: 'LTP-SAND', image_url: 'https://placehold.co/80x80?text=Pillow' },
+    { id: 502, name: 'Stoneware Mug Set', sku: 'SMS-4-WHT', image_url: 'https://placehold.co/80x80?text=Mugs' },
+    { id: 503, name: 'Waffle Bath Towel', sku: 'WBT-OLIVE', image_url: 'https://placehold.co/80x80?text=Towel' },
+    { id: 504, name: 'Beeswax Candle', sku: 'BWC-TALL', image_url: 'https://placehold.co/80x80?text=Candle' }
+  ];
+}
+
+const MAYA = {
+  name: 'Maya Fischer',
+  company: '',
+  address1: '1428 Elm Street',
+  address2: 'Apt 3B',
+  city: 'Portland',
+  region: 'OR',
+  zip: '97205',
+  country: 'US',
+  phone: '+1 503 555 0142',
+  email: 'maya.fischer@example.com'
+};
+
+const JONAS = {
+  name: 'Jonas Berg',
+  company: 'Berg Studio',
+  address1: '88 Harbor Road',
+  address2: '',
+  city: 'Seattle',
+  region: 'WA',
+  zip: '98101',
+  country: 'US',
+  phone: '+1 206 555 0188',
+  email: 'jonas@bergstudio.example'
+};
+
+export function createShipments() {
+  return [
+    {
+      id: 90001,
+      order_ref: '#1001',
+      status: 'queued',
+      created_at: daysAgo(1),
+      updated_at: daysAgo(1),
+      address: { ...MAYA },
+      items: [{ product_id: 501, quantity: 2 }, { product_id: 504, quantity: 1 }],
+      tracking: null
+    },
+    {
+      id: 90002,
+      order_ref: '#1002',
+      status: 'held',
+      created_at: daysAgo(3),
+      updated_at: daysAgo(2),
+      address: { ...MAYA },
+      items: [{ product_id: 502, quantity: 1 }],
+      tracking: null
+    },
+    {
+      id: 90003,
+      order_ref: '#1003',
+      status: 'shipped',
+      created_at: daysAgo(6),
+      updated_at: daysAgo(4),
+      address: { ...JONAS },
+      items: [{ product_id: 503, quantity: 2 }],
+      tracking: {
+        carrier: 'UPS',
+        service: 'Ground',
+        tracking_number: '1Z999AA10123456784',
+        events: [
+          { occurred_at: daysAgo(4), status: 'in_transit', description: 'Departed facility', location: { city: 'Reno', state: 'NV', country: 'US' } },
+          { occurred_at: daysAgo(5), status: 'picked_up', description: 'Picked up by carrier', location: { city: 'Sparks', state: 'NV', country: 'US' } },
+          { occurred_at: daysAgo(5, 6), status: 'label_created', description: 'Shipping label created', location: null }
+        ]
+      }
+    },
+    {
+      id: 90004,
+      order_ref: '#1004',
+      status: 'processing',
+      created_at: daysAgo(2),
+      updated_at: daysAgo(0, 5),
+      address: { ...JONAS },
+      items: [{ product_id: 501, quantity: 1 }, { product_id: 502, quantity: 1 }],
+      tracking: null
+    },
+    {
+      id: 90005,
+      order_ref: '#1004',
+      status: 'queued',
+      created_at: daysAgo(2),
+      updated_at: daysAgo(2),
+      address: { ...JONAS },
+      items: [{ product_id: 504, quantity: 3 }],
+      tracking: null
+    },
+    {
+      id: 90006,
+      order_ref: '#1005',
+      status: 'inactive',
+      created_at: daysAgo(20),
+      updated_at: daysAgo(18),
+      address: { ...MAYA },
+      items: [{ product_id: 503, quantity: 1 }],
+      tracking: null
+    }
+  ];
+}
+
+function fulfillmentOrder(id, status, requestStatus) {
+  return { node: { id: `gid://shopify/FulfillmentOrder/${id}`, status, requestStatus } };
+}
+
+function money(amount) {
+  return { shopMoney: { amount, currencyCode: 'USD' } };
+}
+
+function shopifyOrder({ id, name, financialStatus, total, customer, lineItems, fulfillmentOrders }) {
+  return {
+    id: `gid://shopify/Order/${id}`,
+    name,
+    displayFinancialStatus: financialStatus,
+    displayFulfillmentStatus: fulfillmentOrders.every(({ node }) => node.status === 'CLOSED') ? 'FULFILLED' : 'UNFULFILLED',
+    cancelledAt: null,
+    totalPriceSet: money(total),
+    customer,
+    lineItems: { edges: lineItems.map(item => ({ node: item })) },
+    fulfillmentOrders: { edges: fulfillmentOrders }
+  };
+}
+
+export function createShopifyOrders() {
+  const maya = { id: 'gid://shopify/Customer/7001', displayName: 'Maya Fischer', email: MAYA.email, phone: MAYA.phone };
+  const jonas = { id: 'gid://shopify/Customer/7002', displayName: 'Jonas Berg', email: JONAS.email, phone: JONAS.phone };
+
+  return [
+    shopifyOrder({
+      id: 5001,
+      name: '#1001',
+      financialStatus: 'PAID',
+      total: '96.00',
+      customer: maya,
+      lineItems: [
+        { name: 'Linen Throw Pillow', sku: 'LTP-SAND', quantity: 2, originalTotalSet: money('68.00') },
+        { name: 'Beeswax Candle', sku: 'BWC-TALL', quantity: 1, originalTotalSet: money('28.00') }
+      ],
+      fulfillmentOrders: [fulfillmentOrder(6001, 'OPEN', 'ACCEPTED')]
+    }),
+    shopifyOrder({
+      id: 5002,
+      name: '#1002',
+      financialStatus: 'PAID',
+      total: '42.00',
+      customer: maya,
+      lineItems: [{ name: 'Stoneware Mug Set', sku: 'SMS-4-WHT', quantity: 1, originalTotalSet: money('42.00') }],
+      fulfillmentOrders: [fulfillmentOrder(6002, 'OPEN', 'ACCEPTED')]
+    }),
+    shopifyOrder({
+      id: 5003,
+      name: '#1003',
+      financialStatus: 'PAID',
+      total: '58.00',
+      customer: jonas,
+      lineItems: [{ name: 'Waffle Bath Towel', sku: 'WBT-OLIVE', quantity: 2, originalTotalSet: money('58.00') }],
+      fulfillmentOrders: [fulfillmentOrder(6003, 'CLOSED', 'ACCEPTED')]
+    }),
+    shopifyOrder({
+      id: 5004,
+      name: '#1004',
+      financialStatus: 'PARTIALLY_REFUNDED',
+      total: '160.00',
+      customer: jonas,
+      lineItems: [
+        { name: 'Linen Throw Pillow', sku: 'LTP-SAND', quantity: 1, originalTotalSet: money('34.00') },
+        { name: 'Stoneware Mug Set', sku: 'SMS-4-WHT', quantity: 1, originalTotalSet: money('42.00') },
+        { name: 'Beeswax Candle', sku: 'BWC-TALL', quantity: 3, originalTotalSet: money('84.00') }
+      ],
+      fulfillmentOrders: [fulfillmentOrder(6004, 'IN_PROGRESS', 'ACCEPTED'), fulfillmentOrder(6005, 'OPEN', 'ACCEPTED')]
+    }),
+    // Archived in ShipRelay but still open in Shopify, the kind of drift agents should notice
+    shopifyOrder({
+      id: 5005,
+      name: '#1005',
+      financialStatus: 'PAID',
+      total: '29.00',
+      customer: maya,
+      lineItems: [{ name: 'Waffle Bath Towel', sku: 'WBT-OLIVE', quantity: 1, originalTotalSet: money('29.00') }],
+      fulfillmentOrders: [fulfillmentOrder(6006, 'OPEN', 'ACCEPTED')]
+    })
+  ];
+}
@@ -0,0 +1,26 @@
+import shiprelayFake from './shiprelay.js';
+import shopifyFake from './shopify.js';
+import { logger } from '../services/logger.js';
+
+export function isDemoMode() {
+  return process.env.DEMO_MODE === 'true';
+}
+
+// Serves the fake ShipRelay and Shopify APIs from this process and points the clients at them,
+// overriding SHIPRELAY_API_URL and SHOPIFY_API_URL so demo actions can never reach the live services.
+// Credentials only need to be present, so placeholders are filled in for the default tenant.
+export function enableDemoMode(app, port) {
+  const baseUrl = `http://localhost:${port}/demo`;
+
+  app.use('/demo/shiprelay/api/v2', shiprelayFake);
+  app.use('/demo/shopify', shopifyFake);
+
+  process.env.SHIPRELAY_API_URL = `${baseUrl}/shiprelay/api/v2`;
+  process.env.SHOPIFY_API_URL = `${baseUrl}/shopify`;
+  process.env.SHIPRELAY_EMAIL ||= 'demo@shiprelay.test';
+  process.env.SHIPRELAY_PASSWORD ||= 'demo';
+  process.env.SHOPIFY_SHOP_DOMAIN ||= 'demo-store';
+  process.env.SHOPIFY_ACCESS_TOKEN ||= 'demo-token';
+
+  logger.info('Demo mode: ShipRelay and Shopify are served locally', { base_url: baseUrl });
+}
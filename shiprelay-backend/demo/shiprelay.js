@@ -0,0 +1,168 @@
+import express from 'express';
+import { createShipments, createProducts } from './fixtures.js';
+
+// In-process stand-in for the ShipRelay API, just the endpoints the backend uses.
+// State lives in memory and resets when the process restarts.
+const DEMO_TOKEN = 'demo-shiprelay-token';
+const PER_PAGE = 15;
+const REQUIRED_ADDRESS_FIELDS = ['name', 'address1', 'city', 'zip', 'country'];
+
+const shipments = createShipments();
+const products = createProducts();
+
+const router = express.Router();
+
+// Any credentials work, there is only one demo account
+router.post('/login', (_, res) => {
+  res.json({ access_token: DEMO_TOKEN, token_type: 'bearer', expires_in: 3600 });
+});
+
+router.use((req, res, next) => {
+  if (req.get('Authorization') !== `Bearer ${DEMO_TOKEN}`) {
+    return res.status(401).json({ message: 'Unauthenticated.' });
+  }
+  next();
+});
+
+function includesText(value, text) {
+  return String(value || '').toLowerCase().includes(text.toLowerCase());
+}
+
+function matchesQuery(shipment, { order_ref, email, tracking_number, search }) {
+  if (order_ref && shipment.order_ref !== order_ref) return false;
+  if (email && shipment.address?.email?.toLowerCase() !== email.toLowerCase()) return false;
+  if (tracking_number && shipment.tracking?.tracking_number !== tracking_number) return false;
+  if (search && ![shipment.order_ref, shipment.address?.name, shipment.address?.email].some(value => includesText(value, search))) {
+    return false;
+  }
+  return true;
+}
+
+function findShipment(req, res) {
+  const shipment = shipments.find(candidate => String(candidate.id) === req.params.id);
+  if (!shipment) {
+    res.status(404).json({ message: 'Shipment not found.' });
+  }
+  return shipment;
+}
+
+function touch(shipment) {
+  shipment.updated_at = new Date().toISOString();
+}
+
+// Laravel style pagination, like the real API
+router.get('/shipments', (req, res) => {
+  const matches = shipments.filter(shipment => matchesQuery(shipment, req.query));
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const lastPage = Math.max(Math.ceil(matches.length / PER_PAGE), 1);
+
+  res.json({
+    data: matches.slice((page - 1) * PER_PAGE, page * PER_PAGE),
+    links: { next: page < lastPage ? `/shipments?page=${page + 1}` : null },
+    meta: { current_page: page, last_page: lastPage, per_page: PER_PAGE, total: matches.length }
+  });
+});
+
+router.post('/shipments', (req, res) => {
+  const { order_ref, address = {}, items = [], notes = null } = req.body || {};
+  const errors = {};
+
+  if (!order_ref) {
+    errors.order_ref = ['The order_ref field is required.'];
+  }
+  REQUIRED_ADDRESS_FIELDS.forEach(field => {
+    if (!address[field]) {
+      errors[`address.${field}`] = [`The address.${field} field is required.`];
+    }
+  });
+  if (items.length === 0) {
+    errors.items = ['The items field is required.'];
+  }
+  items.forEach((item, index) => {
+    if (!products.some(product => product.id === Number(item.product_id))) {
+      errors[`items.${index}.product_id`] = ['The selected product is invalid.'];
+    }
+  });
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(422).json({ message: 'The given data was invalid.', errors });
+  }
+
+  const now = new Date().toISOString();
+  const shipment = {
+    id: Math.max(...shipments.map(candidate => candidate.id)) + 1,
+    order_ref,
+    status: 'queued',
+    created_at: now,
+    updated_at: now,
+    address: { ...address },
+    items: items.map(item => ({ product_id: Number(item.product_id), quantity: item.quantity })),
+    notes,
+    tracking: null
+  };
+  shipments.push(shipment);
+  res.status(201).json({ data: shipment });
+});
+
+router.get('/shipments/:id', (req, res) => {
+  const shipment = findShipment(req, res);
+  if (shipment) {
+    res.json({ data: shipment });
+  }
+});
+
+router.put('/shipments/:id', (req, res) => {
+  const shipment = findShipment(req, res);
+  if (!shipment) return;
+
+  const address = { ...shipment.address, ...req.body?.address };
+  const errors = {};
+  REQUIRED_ADDRESS_FIELDS.forEach(field => {
+    if (!address[field]) {
+      errors[`address.${field}`] = [`The address.${field} field is required.`];
+    }
+  });
+  if (address.country && !/^[A-Z]{2}$/.test(address.country)) {
+    errors['address.country'] = ['The address.country must be a 2 letter country code.'];
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(422).json({ message: 'The given data was invalid.', errors });
+  }
+
+  shipment.address = address;
+  touch(shipment);
+  res.json({ data: shipment });
+});
+
+// from -> to for each status action, anything else is rejected like ShipRelay does
+const TRANSITIONS = {
+  archive: { from: ['queued', 'held', 'requested', 'processing'], to: 'inactive' },
+  hold: { from: ['queued'], to: 'held' },
+  release: { from: ['held'], to: 'queued' }
+};
+
+Object.entries(TRANSITIONS).forEach(([action, { from, to }]) => {
+  router.patch(`/shipments/:id/${action}`, (req, res) => {
+    const shipment = findShipment(req, res);
+    if (!shipment) return;
+
+    if (!from.includes(shipment.status)) {
+      return res.status(422).json({ message: `Cannot ${action} a shipment with status ${shipment.status}.` });
+    }
+
+    shipment.status = to;
+    touch(shipment);
+    res.json({ data: shipment });
+  });
+});
+
+router.get('/products/:id', (req, res) => {
+  const product = products.find(candidate => String(candidate.id) === req.params.id);
+  if (!product) {
+    return res.status(404).json({ message: 'Product not found.' });
+  }
+  res.json({ data: product });
+});
+
+export default router;
@@ -0,0 +1,77 @@
+import express from 'express';
+import { createShopifyOrders } from './fixtures.js';
+
+// In-process stand-in for the Shopify Admin GraphQL API. There is no GraphQL parser here: the operation
+// is picked by name and the full fixture is returned, clients only read the fields they asked for.
+const orders = createShopifyOrders();
+
+const router = express.Router();
+
+function findFulfillmentOrder(id) {
+  for (const order of orders) {
+    const edge = order.fulfillmentOrders.edges.find(candidate => candidate.node.id === id);
+    if (edge) return edge.node;
+  }
+  return null;
+}
+
+// variables.query is Shopify search syntax, only "name:1001" is understood here
+function findOrders(variables) {
+  const name = /name:#?(\S+)/.exec(variables?.query || '')?.[1];
+  const matches = name ? orders.filter(order => order.name === `#${name}`) : orders;
+  return { data: { orders: { edges: matches.slice(0, 1).map(order => ({ node: order })) } } };
+}
+
+function findFulfillmentOrderOrder(variables) {
+  const order = orders.find(candidate => candidate.fulfillmentOrders.edges.some(edge => edge.node.id === variables?.id));
+  return { data: { fulfillmentOrder: order ? { id: variables.id, order: { name: order.name } } : null } };
+}
+
+function submitCancellationRequest(variables) {
+  const fulfillmentOrder = findFulfillmentOrder(variables?.id);
+  const userErrors = [];
+
+  if (!fulfillmentOrder) {
+    userErrors.push({ field: ['id'], message: 'Fulfillment order does not exist.' });
+  } else if (['CLOSED', 'CANCELLED'].includes(fulfillmentOrder.status)) {
+    userErrors.push({ field: ['id'], message: `Cannot request cancellation of a ${fulfillmentOrder.status.toLowerCase()} fulfillment order.` });
+  } else {
+    fulfillmentOrder.requestStatus = 'CANCELLATION_REQUESTED';
+  }
+
+  return {
+    data: {
+      fulfillmentOrderSubmitCancellationRequest: {
+        fulfillmentOrder: userErrors.length > 0 ? null : fulfillmentOrder,
+        userErrors
+      }
+    }
+  };
+}
+
+function getShop() {
+  return { data: { shop: { name: 'Demo Store' } } };
+}
+
+const OPERATIONS = [
+  { pattern: /fulfillmentOrderSubmitCancellationRequest\s*\(/, resolve: submitCancellationRequest },
+  { pattern: /\bfulfillmentOrder\s*\(/, resolve: findFulfillmentOrderOrder },
+  { pattern: /\borders\s*\(/, resolve: findOrders },
+  { pattern: /\bshop\s*\{/, resolve: getShop }
+];
+
+router.post('/admin/api/:version/graphql.json', (req, res) => {
+  if (!req.get('X-Shopify-Access-Token')) {
+    return res.status(401).json({ errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+  }
+
+  const { query, variables } = req.body || {};
+  const operation = OPERATIONS.find(candidate => candidate.pattern.test(query || ''));
+  if (!operation) {
+    return res.json({ errors: [{ message: 'This operation is not supported by the demo Shopify store' }] });
+  }
+
+  res.json(operation.resolve(variables));
+});
+
+export default router;
@@ -1,23 +1,50 @@
+// Load environment variables before any module reads its config
+import 'dotenv/config';
 import express from 'express';
-import dotenv from 'dotenv';
 import cors from 'cors';
 import shiprelayRoutes from './routes/shiprelay.js';
-
-// Load environment variables
-dotenv.config();
+import webhookRoutes from './routes/webhooks.js';
+import monitoringRoutes from './routes/monitoring.js';
+import { requestContext, REQUEST_ID_HEADER } from './middleware/requestContext.js';
+import { REPLAYED_HEADER } from './middleware/idempotency.js';
+import { logger } from './services/logger.js';
+import { startShopifyRetryWorker } from './services/shopifyRetryQueue.js';
+import { isDemoMode, enableDemoMode } from './demo/index.js';
 
 const app = express();
 
-// Enable CORS
-app.use(cors());
+// Request id, access log and request metrics for everything below, demo fakes included
+app.use(requestContext);
+
+// Enable CORS, letting the browser read the request id and replay marker when the sidebar calls us directly
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER, REPLAYED_HEADER, 'Retry-After'] }));
 
-// Parse JSON bodies
-app.use(express.json());
+// Parse JSON bodies, keeping the raw bytes around for webhook signature checks
+app.use(express.json({
+  verify: (req, _, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Mount ShipRelay proxy routes
 app.use('/api/shiprelay', shiprelayRoutes);
 
+// Mount webhook receivers (authenticated by signature, not by Zendesk token)
+app.use('/api/webhooks', webhookRoutes);
+
+// /health and /metrics for uptime checks and Prometheus
+app.use(monitoringRoutes);
+
 const PORT = process.env.PORT || 3001;
+
+// Fake ShipRelay and Shopify for training and trying out sidebar changes offline
+if (isDemoMode()) {
+  enableDemoMode(app, PORT);
+}
+
 app.listen(PORT, () => {
-console.log(`✅ ShipRelay backend is live on port ${PORT}`);
+  logger.info('ShipRelay backend is live', { port: Number(PORT) });
 });
+
+// Retry Shopify fulfillment cancellations that failed during archive
+startShopifyRetryWorker();
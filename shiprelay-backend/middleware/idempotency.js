@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import { beginIdempotentRequest, completeIdempotentRequest, abandonIdempotentRequest } from '../services/idempotencyKeys.js';
+import { logger } from '../services/logger.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+const VALID_KEY = /^[\x21-\x7e]{1,255}$/;
+
+// Repeats of a request with the same Idempotency-Key get the first response back instead of running
+// again, so a double click or a retry after a timeout can't archive or cancel in Shopify twice.
+// Keys are per tenant and agent. 5xx responses aren't kept, a retry after a server error runs again.
+// Requests without the header run as usual. Must run after requireZendeskAuth and requireTenant.
+export async function idempotent(req, res, next) {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!VALID_KEY.test(key)) {
+    return res.status(400).json({
+      error: 'Invalid Idempotency-Key',
+      details: 'Idempotency-Key must be 1 to 255 printable ASCII characters'
+    });
+  }
+
+  const scopedKey = `${req.tenant.id}:${req.agent.id}:${key}`;
+  const fingerprint = crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body ?? null)}`)
+    .digest('hex');
+
+  let begun;
+  try {
+    begun = await beginIdempotentRequest(scopedKey, fingerprint);
+  } catch (err) {
+    logger.error('Could not read idempotency keys', { err });
+    return res.status(500).json({ error: 'Failed to check Idempotency-Key', details: err.message });
+  }
+
+  if (begun.state === 'replay') {
+    logger.info('Replaying stored response for Idempotency-Key', { status: begun.record.status });
+    res.set(REPLAYED_HEADER, 'true');
+    return res.status(begun.record.status).json(begun.record.body);
+  }
+  if (begun.state === 'mismatch') {
+    return res.status(422).json({
+      error: 'Idempotency-Key reused',
+      details: 'This Idempotency-Key was already used for a different request'
+    });
+  }
+  if (begun.state === 'in_progress') {
+    return res.status(409).json({
+      error: 'Request in progress',
+      details: 'A request with this Idempotency-Key is still running, retry once it has finished'
+    });
+  }
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode < 500) {
+      completeIdempotentRequest(scopedKey, fingerprint, { status: res.statusCode, body }).catch(err => {
+        logger.error('Could not store idempotent response', { err });
+      });
+    } else {
+      abandonIdempotentRequest(scopedKey);
+    }
+    return json(body);
+  };
+  // Handler died without answering, a no-op once the response was stored
+  res.on('close', () => abandonIdempotentRequest(scopedKey));
+
+  next();
+}
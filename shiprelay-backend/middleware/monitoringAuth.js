@@ -0,0 +1,26 @@
+import crypto from 'crypto';
+
+// /health and /metrics list tenants and upstream errors, and /health logs in to every tenant's
+// ShipRelay and Shopify. The scraper or uptime check sends MONITORING_TOKEN as a Bearer token,
+// without one configured both stay closed. /api/shiprelay/shipment/ping is the open liveness check.
+export function requireMonitoringToken(req, res, next) {
+  const expected = process.env.MONITORING_TOKEN;
+  if (!expected) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      details: 'Monitoring is disabled until MONITORING_TOKEN is set'
+    });
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const valid = scheme === 'Bearer' && token?.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+
+  if (!valid) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      details: 'Missing or invalid monitoring token'
+    });
+  }
+  next();
+}
@@ -0,0 +1,47 @@
+import { logger } from '../services/logger.js';
+import { rateLimited } from '../services/metrics.js';
+
+const WINDOW_MS = 60 * 1000;
+
+// Fixed one-minute windows counted in memory, so the limits are per backend process.
+// key(req) picks what is limited (an agent), name labels the limit in logs and metrics.
+export function rateLimit({ name, limit, key }) {
+  const windows = new Map();
+
+  // Forget finished windows so idle agents don't pile up
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, id) => {
+      if (window.resetAt <= now) windows.delete(id);
+    });
+  }, WINDOW_MS).unref();
+
+  return (req, res, next) => {
+    const id = key(req);
+    if (!id) {
+      return next();
+    }
+
+    const now = Date.now();
+    let window = windows.get(id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + WINDOW_MS };
+      windows.set(id, window);
+    }
+    window.count++;
+
+    if (window.count > limit) {
+      const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+      rateLimited.inc({ limit: name });
+      logger.warn('Rate limit exceeded', { limit: name, max_per_minute: limit, tenant_id: req.tenant?.id ?? null });
+
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        details: `Too many changes in a short time, try again in ${retryAfter} seconds`,
+        retry_after: retryAfter
+      });
+    }
+    next();
+  };
+}
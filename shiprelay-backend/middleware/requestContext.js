@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import { logger, runWithRequestId } from '../services/logger.js';
+import { httpRequests, httpRequestDuration } from '../services/metrics.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// An id from a proxy in front of us is kept so the logs line up, anything odd gets replaced
+const VALID_REQUEST_ID = /^[\w.:-]{8,128}$/;
+
+// Route pattern rather than path, so /shipment/123 and /shipment/456 count as one route
+function getRouteLabel(req) {
+  if (!req.route) {
+    return 'unmatched';
+  }
+  const paths = Array.isArray(req.route.path) ? req.route.path : [req.route.path];
+  return paths.map(path => `${req.baseUrl}${path}`).join('|');
+}
+
+// Gives every request an id, returned in X-Request-Id and on every log line written while handling it,
+// and records its count and latency once the response is sent
+export function requestContext(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = VALID_REQUEST_ID.test(incoming || '') ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  const start = performance.now();
+  res.on('finish', () => {
+    const seconds = (performance.now() - start) / 1000;
+    const route = getRouteLabel(req);
+
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestDuration.observe({ method: req.method, route }, seconds);
+
+    // The query string is left out, searches carry customer emails and names
+    runWithRequestId(requestId, () => logger.info('Request handled', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 1000),
+      tenant_id: req.tenant?.id ?? null
+    }));
+  });
+
+  runWithRequestId(requestId, next);
+}
@@ -0,0 +1,25 @@
+import { resolveTenant } from '../services/tenants.js';
+import { logger } from '../services/logger.js';
+
+// Zendesk account from the verified token ("acme.zendesk.com" -> "acme")
+function getSubdomain(agent) {
+  return agent?.subdomain?.replace(/^https?:\/\//, '').split('.')[0] || null;
+}
+
+// Attaches the tenant for the agent's Zendesk account and the ticket's brand, must run after requireZendeskAuth
+export function requireTenant(req, res, next) {
+  const subdomain = getSubdomain(req.agent);
+  const brandId = req.get('X-Zendesk-Brand-Id') || null;
+  const tenant = resolveTenant({ subdomain, brandId });
+
+  if (!tenant) {
+    logger.warn('No tenant configured for Zendesk brand', { subdomain, brand_id: brandId });
+    return res.status(403).json({
+      error: 'Unknown tenant',
+      details: `No ShipRelay account is configured for this Zendesk brand`
+    });
+  }
+
+  req.tenant = tenant;
+  next();
+}
@@ -0,0 +1,57 @@
+import jwt from 'jsonwebtoken';
+import { logger } from '../services/logger.js';
+
+// Public key from the app's settings page in Zendesk (PEM, newlines may be escaped in .env)
+function getPublicKey() {
+  const key = process.env.ZENDESK_APP_PUBLIC_KEY;
+  return key ? key.replace(/\\n/g, '\n') : null;
+}
+
+// Pull the agent out of the ZAF token claims so handlers don't need to know the token layout
+function getAgentFromClaims(claims) {
+  const user = claims.context?.user || {};
+  return {
+    id: user.id ?? claims.sub ?? null,
+    email: user.email ?? claims.email ?? null,
+    name: user.name ?? claims.name ?? null,
+    subdomain: claims.iss
+  };
+}
+
+// Rejects any request that doesn't carry a valid Zendesk signed token (client.request with signed: true)
+export function requireZendeskAuth(req, res, next) {
+  const publicKey = getPublicKey();
+  if (!publicKey || !process.env.ZENDESK_JWT_ISSUER || !process.env.ZENDESK_JWT_AUDIENCE) {
+    logger.error('Zendesk authentication is not configured');
+    return res.status(500).json({
+      error: 'Authentication not configured',
+      details: 'ZENDESK_APP_PUBLIC_KEY, ZENDESK_JWT_ISSUER and ZENDESK_JWT_AUDIENCE must be set'
+    });
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      details: 'Missing Zendesk signed token'
+    });
+  }
+
+  try {
+    const claims = jwt.verify(token, publicKey, {
+      algorithms: ['RS256'],
+      // One issuer per Zendesk account, comma separated when several brands' accounts share the backend
+      issuer: process.env.ZENDESK_JWT_ISSUER.split(',').map(issuer => issuer.trim()),
+      audience: process.env.ZENDESK_JWT_AUDIENCE
+    });
+
+    req.agent = getAgentFromClaims(claims);
+    next();
+  } catch (err) {
+    logger.warn('Rejected Zendesk token', { reason: err.message });
+    res.status(401).json({
+      error: 'Unauthorized',
+      details: 'Invalid Zendesk signed token'
+    });
+  }
+}
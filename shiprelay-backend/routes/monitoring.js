@@ -0,0 +1,37 @@
+import express from 'express';
+import { requireMonitoringToken } from '../middleware/monitoringAuth.js';
+import { renderMetrics } from '../services/metrics.js';
+import { checkHealth } from '../services/health.js';
+import { logger } from '../services/logger.js';
+
+const router = express.Router();
+
+router.use(['/health', '/metrics'], requireMonitoringToken);
+
+// Prometheus text format, scraped rather than cached
+router.get('/metrics', (_, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.set('Cache-Control', 'no-store');
+  res.send(renderMetrics());
+});
+
+// Deep check of every tenant's ShipRelay login and Shopify credentials, unlike /shipment/ping
+// which only proves the process is up. 503 when any check failed so uptime monitors alert on it.
+router.get('/health', async (_, res) => {
+  try {
+    const health = await checkHealth();
+    if (health.status !== 'ok') {
+      logger.warn('Health check failed', { tenants: health.tenants });
+    }
+    res.set('Cache-Control', 'no-store');
+    res.status(health.status === 'ok' ? 200 : 503).json(health);
+  } catch (err) {
+    logger.error('Health check crashed', { err });
+    res.status(500).json({
+      error: 'Health check failed',
+      details: err.message
+    });
+  }
+});
+
+export default router;
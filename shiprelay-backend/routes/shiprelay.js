@@ -1,116 +1,165 @@
 import express from 'express';
-import fetch from 'node-fetch';
+import { requireZendeskAuth } from '../middleware/zendeskAuth.js';
+import { requireTenant } from '../middleware/tenant.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { shiprelayRequest } from '../services/shiprelayClient.js';
+import { getProduct, getShipmentLineItems } from '../services/products.js';
+import { normalizeTracking } from '../services/tracking.js';
+import { SEARCH_MODES, searchShipments, invalidateShipmentCache } from '../services/shipmentSearch.js';
+import { SORT_ORDERS, filterShipments, summarizeHidden } from '../services/shipmentFilter.js';
+import { recordAudit, queryAudit } from '../services/auditLog.js';
+import { listShopifyCancellations } from '../services/shopifyRetryQueue.js';
+import { getShipment, lookupShipment, archiveShipments, cancelOrderFulfillment } from '../services/shipmentArchive.js';
+import { isShopifyConfigured, getShopifyOrder } from '../services/shopify.js';
+import { findOrderMismatches } from '../services/orderMismatches.js';
+import { logger, upstreamBody } from '../services/logger.js';
+import { REPLACEABLE_STATUSES, canReplace, getReplacementItems, createReplacementShipment } from '../services/shipmentReplacement.js';
 
 const router = express.Router();
 
-// Token cache to avoid repeated login calls
-let tokenCache = {
-  token: null,
-  expiry: null
-};
-
-async function getShipRelayToken() {
-  // Check if we have a valid cached token (expire after 50 minutes to be safe)
-  if (tokenCache.token && tokenCache.expiry && Date.now() < tokenCache.expiry) {
-    console.log('Using cached ShipRelay token');
-    return tokenCache.token;
-  }
+router.get('/shipment/ping', (_, res) => {
+  res.status(200).json({ status: 'awake' });
+});
 
-  console.log('Fetching new ShipRelay token...');
-  const response = await fetch('https://console.shiprelay.com/api/v2/login', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      email: process.env.SHIPRELAY_EMAIL,
-      password: process.env.SHIPRELAY_PASSWORD
-    })
-  });
+// Everything below the ping is only reachable from the Zendesk sidebar, and works against
+// the ShipRelay account and Shopify store of the ticket's brand
+router.use(requireZendeskAuth);
+router.use(requireTenant);
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Failed to login to ShipRelay: ${response.status} - ${errorText}`);
+// Ids go straight into ShipRelay paths, so anything but digits (an encoded ../ for one) is turned away
+const NUMERIC_ID = /^\d+$/;
+router.param('id', (req, res, next, id) => {
+  if (!NUMERIC_ID.test(id)) {
+    return res.status(400).json({
+      error: 'Invalid id',
+      details: 'Shipment and product ids must be numeric'
+    });
   }
-  
-  const data = await response.json();
-  
-  // Cache the token for 50 minutes (ShipRelay tokens typically expire in 1 hour)
-  tokenCache.token = data.access_token;
-  tokenCache.expiry = Date.now() + (50 * 60 * 1000);
-  
-  console.log('ShipRelay token cached successfully');
-  return data.access_token;
-}
+  next();
+});
 
-router.get('/shipment/ping', (_, res) => {
-  res.status(200).json({ status: 'awake' });
+// Changes go out to ShipRelay and Shopify, so each agent only gets so many a minute.
+// Not limited per IP: every sidebar call arrives through the Zendesk proxy, so all agents share one.
+// Lookups aren't limited, they're cached and revalidated cheaply.
+const limitChanges = rateLimit({
+  name: 'agent',
+  limit: Number(process.env.RATE_LIMIT_AGENT_PER_MINUTE) || 30,
+  key: req => `${req.tenant.id}:${req.agent.id}`
 });
 
+// Lookups are cached briefly on our side; the sidebar revalidates with If-None-Match against the
+// ETag express puts on every JSON response and gets a bodiless 304 when nothing changed
+function revalidateOnEveryUse(res) {
+  res.set('Cache-Control', 'private, no-cache');
+}
+
+// Audit fields every mutating route shares, the sidebar sends the ticket it was opened on
+function auditContext(req) {
+  return {
+    tenant: req.tenant,
+    agent: req.agent,
+    ticketId: req.get('X-Zendesk-Ticket-Id') || null,
+    shipmentId: req.params.id
+  };
+}
+
+// Search by any combination of order_ref, email, name and tracking_number.
+// status, include_all, sort, page and per_page control which shipments come back.
 router.get('/shipment', async (req, res) => {
-  const { order_ref } = req.query;
+  const { include, status, include_all, sort } = req.query;
+
+  const criteria = {};
+  for (const mode of Object.keys(SEARCH_MODES)) {
+    const value = req.query[mode];
+    if (value === undefined) continue;
+
+    if (typeof value !== 'string' || value.trim().length === 0) {
+      return res.status(400).json({
+        error: `Missing or invalid ${mode} parameter`,
+        details: `${mode} must be a non-empty string`
+      });
+    }
+    criteria[mode] = value.trim();
+  }
   
   // Input validation
-  if (!order_ref || typeof order_ref !== 'string' || order_ref.trim().length === 0) {
+  if (Object.keys(criteria).length === 0) {
     return res.status(400).json({ 
-      error: 'Missing or invalid order_ref parameter',
-      details: 'order_ref must be a non-empty string'
+      error: 'Missing search parameter',
+      details: `One of ${Object.keys(SEARCH_MODES).join(', ')} is required`
     });
   }
 
-  try {
-    const token = await getShipRelayToken();
-    const response = await fetch(`https://console.shiprelay.com/api/v2/shipments?order_ref=${encodeURIComponent(order_ref.trim())}`, {
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${token}`
-      }
+  if (include !== undefined && typeof include !== 'string') {
+    return res.status(400).json({
+      error: 'Invalid include parameter',
+      details: 'include must be a comma-separated list, e.g. include=items'
     });
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`ShipRelay API error: ${response.status} - ${errorText}`);
-      return res.status(response.status).json({ 
-        error: 'ShipRelay API error',
-        status: response.status,
-        details: response.status === 404 ? 'No shipments found' : 'API request failed'
-      });
+  const filters = {
+    statuses: status ? String(status).split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : undefined,
+    includeAll: include_all === 'true' || include_all === '1',
+    sort: sort || 'updated_desc'
+  };
+
+  if (!Object.hasOwn(SORT_ORDERS, filters.sort)) {
+    return res.status(400).json({
+      error: 'Invalid sort parameter',
+      details: `sort must be one of ${Object.keys(SORT_ORDERS).join(', ')}`
+    });
+  }
+
+  const page = Number(req.query.page ?? 1);
+  const perPage = Number(req.query.per_page ?? 20);
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(perPage) || perPage < 1 || perPage > 100) {
+    return res.status(400).json({
+      error: 'Invalid pagination parameters',
+      details: 'page must be a positive integer and per_page between 1 and 100'
+    });
+  }
+
+  try {
+    const shipments = await searchShipments(req.tenant, criteria);
+    const { visible, hidden } = filterShipments(shipments, filters);
+    logger.info('Filtered shipments', { found: shipments.length, visible: visible.length, hidden: hidden.length });
+
+    const totalPages = Math.max(Math.ceil(visible.length / perPage), 1);
+    const pageShipments = visible.slice((page - 1) * perPage, page * perPage);
+
+    // Line items are opt-in since they need a product lookup per item
+    if (include?.split(',').includes('items')) {
+      await Promise.all(pageShipments.map(async shipment => {
+        shipment.line_items = await getShipmentLineItems(req.tenant, shipment);
+      }));
     }
 
-    const data = await response.json();
-    
-    // Filter and sort shipments to show only relevant ones
-    if (data.data && Array.isArray(data.data)) {
-      // Sort by updated_at (most recent first)
-      data.data.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
-      
-      // Define active/relevant statuses
-      const relevantStatuses = ['queued', 'held', 'requested', 'processing', 'shipped'];
-      
-      // Filter logic: most recent + active/shipped orders
-      const filteredShipments = [];
-      
-      // Always include the most recently edited shipment (first in sorted array)
-      if (data.data.length > 0) {
-        filteredShipments.push(data.data[0]);
-        console.log(`✓ Including most recent shipment (${data.data[0].status}) updated ${data.data[0].updated_at}`);
+    const data = {
+      data: pageShipments,
+      meta: {
+        total: visible.length,
+        page,
+        per_page: perPage,
+        total_pages: totalPages,
+        sort: filters.sort,
+        statuses: filters.statuses || null,
+        include_all: filters.includeAll,
+        hidden: summarizeHidden(hidden)
       }
-      
-      // Add any other shipments with relevant statuses (if not already included)
-      data.data.slice(1).forEach(shipment => {
-        if (relevantStatuses.includes(shipment.status?.toLowerCase())) {
-          filteredShipments.push(shipment);
-          console.log(`✓ Including ${shipment.status} shipment updated ${shipment.updated_at}`);
-        } else {
-          console.log(`✗ Skipping ${shipment.status} shipment updated ${shipment.updated_at}`);
-        }
-      });
-      
-      console.log(`📦 Filtered ${data.data.length} shipments down to ${filteredShipments.length} relevant ones`);
-      data.data = filteredShipments;
-    }
+    };
     
+    revalidateOnEveryUse(res);
     res.json(data);
   } catch (err) {
-    console.error('ShipRelay error:', err);
+    if (err.status) {
+      return res.status(err.status).json({ 
+        error: 'ShipRelay API error',
+        status: err.status,
+        details: 'API request failed'
+      });
+    }
+    logger.error('Shipment search failed', { err });
     res.status(500).json({ 
       error: 'Failed to fetch shipment',
       details: err.message
@@ -118,6 +167,32 @@ router.get('/shipment', async (req, res) => {
   }
 });
 
+// Get carrier, tracking link and tracking events for a shipment
+router.get('/shipment/:id/tracking', async (req, res) => {
+  try {
+    const response = await shiprelayRequest(req.tenant, `/shipments/${req.params.id}`);
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        return res.status(404).json({ error: 'Shipment not found' });
+      }
+      return res.status(response.status).json({
+        error: 'ShipRelay API error',
+        details: 'Failed to fetch shipment tracking'
+      });
+    }
+
+    const shipmentJson = await response.json();
+    res.json({ data: normalizeTracking(shipmentJson.data || shipmentJson) });
+  } catch (err) {
+    logger.error('Tracking fetch failed', { shipment_id: req.params.id, err });
+    res.status(500).json({
+      error: 'Failed to fetch tracking',
+      details: err.message
+    });
+  }
+});
+
 // Get product details by ID
 router.get('/product/:id', async (req, res) => {
   const { id } = req.params;
@@ -130,34 +205,22 @@ router.get('/product/:id', async (req, res) => {
   }
 
   try {
-    const token = await getShipRelayToken();
-    const response = await fetch(`https://console.shiprelay.com/api/v2/products/${id}`, {
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${token}`
-      }
-    });
+    const productData = await getProduct(req.tenant, id);
 
-    if (!response.ok) {
-      if (response.status === 404) {
-        return res.status(404).json({ error: 'Product not found' });
-      }
-      return res.status(response.status).json({ 
-        error: 'ShipRelay API error',
-        details: 'Failed to fetch product details'
-      });
+    if (!productData) {
+      return res.status(404).json({ error: 'Product not found' });
     }
-
-    const productData = await response.json();
-    
-    // Log the complete product data for debugging
-    console.log('=== FULL PRODUCT OBJECT ===');
-    console.log(JSON.stringify(productData, null, 2));
-    console.log('=== END PRODUCT OBJECT ===');
     
+    revalidateOnEveryUse(res);
     res.json(productData);
   } catch (err) {
-    console.error('Product fetch error:', err);
+    if (err.status) {
+      return res.status(err.status).json({ 
+        error: 'ShipRelay API error',
+        details: 'Failed to fetch product details'
+      });
+    }
+    logger.error('Product fetch failed', { product_id: id, err });
     res.status(500).json({ 
       error: 'Failed to fetch product',
       details: err.message
@@ -167,181 +230,448 @@ router.get('/product/:id', async (req, res) => {
 
 export default router;
 
-async function cancelShopifyFulfillment(shipmentData) {
-  if (!shipmentData?.order_ref || !process.env.SHOPIFY_ACCESS_TOKEN || !process.env.SHOPIFY_SHOP_DOMAIN) {
-    return;
+router.patch('/shipment/:id/archive', limitChanges, idempotent, async (req, res) => {
+  try {
+    // Get shipment data first to extract order info for Shopify cancellation
+    const shipmentData = await getShipment(req.tenant, req.params.id);
+
+    const response = await shiprelayRequest(req.tenant, `/shipments/${req.params.id}/archive`, {
+      method: 'PATCH',
+      body: {}
+    });
+    invalidateShipmentCache(req.tenant, req.params.id, shipmentData?.order_ref);
+
+    const text = await response.text();
+    try {
+      const data = JSON.parse(text);
+      
+      // Cancel Shopify fulfillment if archive was successful
+      let shopifyCancellation = null;
+      if (response.ok && shipmentData) {
+        shopifyCancellation = await cancelOrderFulfillment(req.tenant, shipmentData.order_ref, [req.params.id]);
+      }
+
+      await recordAudit({
+        ...auditContext(req),
+        orderRef: shipmentData?.order_ref,
+        action: 'archive',
+        upstream: [{ service: 'shiprelay', status: response.status, body: data }],
+        shopifyCancellation
+      });
+      
+      res.status(response.status).json({ ...data, shopify_cancellation: shopifyCancellation });
+    } catch (parseErr) {
+      logger.error('ShipRelay archive returned a non-JSON response', { shipment_id: req.params.id, status: response.status, body: upstreamBody(text) });
+      await recordAudit({
+        ...auditContext(req),
+        orderRef: shipmentData?.order_ref,
+        action: 'archive',
+        upstream: [{ service: 'shiprelay', status: response.status, body: text }]
+      });
+      res.status(500).json({ error: 'Invalid response from ShipRelay', raw: text });
+    }
+  } catch (err) {
+    logger.error('Archiving shipment failed', { shipment_id: req.params.id, err });
+    await recordAudit({ ...auditContext(req), action: 'archive', upstream: [{ service: 'shiprelay', error: err.message }] });
+    res.status(500).json({ error: 'Failed to archive shipment' });
+  }
+});
+
+// Archive several shipments at once, by id list or every shipment of an order ref.
+// Shopify is only asked once per order, and each shipment gets its own result.
+router.post('/shipments/archive', limitChanges, idempotent, async (req, res) => {
+  const { shipment_ids: shipmentIds, order_ref: orderRef } = req.body || {};
+
+  const validIds = Array.isArray(shipmentIds) && shipmentIds.length > 0 && shipmentIds.length <= 50 &&
+    shipmentIds.every(id => NUMERIC_ID.test(String(id)));
+  const validOrderRef = typeof orderRef === 'string' && orderRef.trim().length > 0;
+
+  if (validIds === validOrderRef) {
+    return res.status(400).json({
+      error: 'Invalid bulk archive request',
+      details: 'Send either shipment_ids (1 to 50 numeric ids) or a non-empty order_ref'
+    });
   }
 
   try {
-    // Use order name search instead of order ID - order_ref should include the #
-    const orderNumber = shipmentData.order_ref.replace('#', '');
-    
-    // Build proper Shopify GraphQL API URL
-    const storeId = process.env.SHOPIFY_SHOP_DOMAIN.replace(/\/$/, '');
-    const graphqlUrl = `https://${storeId}.myshopify.com/admin/api/2025-01/graphql.json`;
-    
-    // Step 1: Find the order by name using GraphQL
-    const orderQuery = `
-      query getOrderByName($query: String!) {
-        orders(first: 1, query: $query) {
-          edges {
-            node {
-              id
-              name
-              fulfillmentOrders(first: 10) {
-                edges {
-                  node {
-                    id
-                    status
-                    requestStatus
-                  }
-                }
-              }
-            }
-          }
+    let shipments;
+    const results = [];
+
+    if (validOrderRef) {
+      // Read straight from ShipRelay, a cached list could miss a shipment created moments ago
+      invalidateShipmentCache(req.tenant, null, orderRef.trim());
+      shipments = await searchShipments(req.tenant, { order_ref: orderRef.trim() });
+    } else {
+      const uniqueIds = [...new Set(shipmentIds.map(String))];
+      const fetched = await Promise.all(uniqueIds.map(async id => [id, await lookupShipment(req.tenant, id)]));
+      shipments = [];
+      fetched.forEach(([id, { status, shipment }]) => {
+        if (shipment) {
+          shipments.push(shipment);
+        } else {
+          // A ShipRelay 429 or 5xx isn't a missing shipment, the agent may just need to try again
+          results.push({
+            id,
+            order_ref: null,
+            status: 'failed',
+            http_status: status,
+            error: status === 404 ? 'Shipment not found' : `ShipRelay returned ${status} looking up the shipment`
+          });
         }
+      });
+    }
+
+    const archived = await archiveShipments(req.tenant, shipments);
+    results.push(...archived.results);
+
+    for (const result of results) {
+      await recordAudit({
+        ...auditContext(req),
+        shipmentId: result.id,
+        orderRef: result.order_ref,
+        action: 'bulk_archive',
+        upstream: [{ service: 'shiprelay', status: result.http_status ?? null, body: result.response ?? null, error: result.error ?? null }],
+        shopifyCancellation: result.status === 'archived' ? archived.shopify[result.order_ref] ?? null : null
+      });
+      delete result.response;
+    }
+
+    const summary = {
+      requested: results.length,
+      archived: results.filter(result => result.status === 'archived').length,
+      skipped: results.filter(result => result.status === 'skipped').length,
+      failed: results.filter(result => result.status === 'failed').length
+    };
+    logger.info('Bulk archive finished', summary);
+
+    // 207 tells the sidebar that some shipments went through and some didn't
+    const status = summary.failed === 0 ? 200 : summary.archived > 0 ? 207 : 502;
+    res.status(status).json({ summary, results, shopify_cancellations: archived.shopify });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: 'ShipRelay API error', details: 'Failed to look up shipments' });
+    }
+    logger.error('Bulk archive failed', { err });
+    res.status(500).json({ error: 'Failed to archive shipments', details: err.message });
+  }
+});
+
+// Hold and release are plain status changes on ShipRelay's side, no Shopify follow-up needed
+function shipmentStatusAction(action) {
+  return async (req, res) => {
+    try {
+      const response = await shiprelayRequest(req.tenant, `/shipments/${req.params.id}/${action}`, {
+        method: 'PATCH',
+        body: {}
+      });
+      invalidateShipmentCache(req.tenant, req.params.id);
+
+      const text = await response.text();
+      try {
+        const data = JSON.parse(text);
+        await recordAudit({
+          ...auditContext(req),
+          orderRef: data.data?.order_ref ?? data.order_ref,
+          action,
+          upstream: [{ service: 'shiprelay', status: response.status, body: data }]
+        });
+        res.status(response.status).json(data);
+      } catch (parseErr) {
+        logger.error('ShipRelay status action returned a non-JSON response', { action, shipment_id: req.params.id, status: response.status, body: upstreamBody(text) });
+        await recordAudit({ ...auditContext(req), action, upstream: [{ service: 'shiprelay', status: response.status, body: text }] });
+        res.status(500).json({ error: 'Invalid response from ShipRelay', raw: text });
       }
-    `;
-    
-    const orderResponse = await fetch(graphqlUrl, {
-      method: 'POST',
-      headers: {
-        'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-        'Content-Type': 'application/json',
-        'User-Agent': 'ShipRelay-Integration/1.0'
-      },
-      body: JSON.stringify({
-        query: orderQuery,
-        variables: { query: `name:${orderNumber}` }
-      })
+    } catch (err) {
+      logger.error('Shipment status action failed', { action, shipment_id: req.params.id, err });
+      await recordAudit({ ...auditContext(req), action, upstream: [{ service: 'shiprelay', error: err.message }] });
+      res.status(500).json({ error: `Failed to ${action} shipment` });
+    }
+  };
+}
+
+router.patch('/shipment/:id/hold', limitChanges, shipmentStatusAction('hold'));
+router.patch('/shipment/:id/release', limitChanges, shipmentStatusAction('release'));
+
+const ADDRESS_FIELDS = ['name', 'company', 'address1', 'address2', 'city', 'region', 'zip', 'country', 'phone', 'email'];
+const REQUIRED_ADDRESS_FIELDS = ['name', 'address1', 'city', 'zip', 'country'];
+
+// ShipRelay reports validation errors as { errors: { 'address.zip': [...] } }, the sidebar wants plain field names
+function mapAddressErrors(errors) {
+  const fieldErrors = {};
+  Object.entries(errors || {}).forEach(([key, messages]) => {
+    const field = key.replace(/^address\./, '');
+    fieldErrors[field] = Array.isArray(messages) ? messages : [String(messages)];
+  });
+  return fieldErrors;
+}
+
+// Known address fields from the request body, trimmed
+function pickAddress(input) {
+  const address = {};
+  ADDRESS_FIELDS.forEach(field => {
+    if (typeof input?.[field] === 'string') {
+      address[field] = input[field].trim();
+    }
+  });
+  return address;
+}
+
+function findMissingAddressFields(address) {
+  const missingFields = {};
+  REQUIRED_ADDRESS_FIELDS.forEach(field => {
+    if (!address[field]) {
+      missingFields[field] = ['This field is required'];
+    }
+  });
+  return missingFields;
+}
+
+router.put('/shipment/:id/address', limitChanges, async (req, res) => {
+  const address = pickAddress(req.body?.address || req.body || {});
+  const missingFields = findMissingAddressFields(address);
+
+  if (Object.keys(missingFields).length > 0) {
+    return res.status(400).json({
+      error: 'Invalid address',
+      details: 'Required address fields are missing',
+      fields: missingFields
     });
+  }
 
-    if (!orderResponse.ok) {
-      return;
+  try {
+    // The form only edits some fields, merge so a PUT that replaces the address keeps phone, email and company
+    const { status, shipment: original } = await lookupShipment(req.tenant, req.params.id);
+    if (!original) {
+      return status === 404
+        ? res.status(404).json({ error: 'Shipment not found' })
+        : res.status(502).json({ error: 'ShipRelay API error', details: `ShipRelay returned ${status} looking up the shipment` });
     }
 
-    const orderData = await orderResponse.json();
-    
-    if (orderData.errors || !orderData.data?.orders?.edges?.length) {
-      return;
+    const response = await shiprelayRequest(req.tenant, `/shipments/${req.params.id}`, {
+      method: 'PUT',
+      body: { address: { ...pickAddress(original.address), ...address } }
+    });
+    invalidateShipmentCache(req.tenant, req.params.id, original.order_ref);
+
+    const text = await response.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (parseErr) {
+      logger.error('ShipRelay address update returned a non-JSON response', { shipment_id: req.params.id, status: response.status, body: upstreamBody(text) });
+      await recordAudit({ ...auditContext(req), action: 'update_address', upstream: [{ service: 'shiprelay', status: response.status, body: text }] });
+      return res.status(500).json({ error: 'Invalid response from ShipRelay', raw: text });
     }
 
-    const order = orderData.data.orders.edges[0].node;
-    
-    // Step 2: Submit cancellation requests for fulfillment orders
-    const fulfillmentOrders = order.fulfillmentOrders.edges
-      .map(edge => edge.node)
-      .filter(fo => fo.status !== 'CANCELLED' && fo.requestStatus !== 'CANCELLATION_REQUESTED');
-    
-    if (fulfillmentOrders.length === 0) {
-      console.log(`⚠️ No active fulfillment orders to cancel for ${order.name}. Status details:`);
-      order.fulfillmentOrders.edges.forEach((edge, i) => {
-        const fo = edge.node;
-        console.log(`  FO ${i+1}: status="${fo.status}", requestStatus="${fo.requestStatus}"`);
+    await recordAudit({
+      ...auditContext(req),
+      orderRef: data.data?.order_ref ?? data.order_ref,
+      action: 'update_address',
+      upstream: [{ service: 'shiprelay', status: response.status, body: data }]
+    });
+
+    if (!response.ok) {
+      logger.warn('ShipRelay rejected the address update', { shipment_id: req.params.id, status: response.status, body: data });
+      return res.status(response.status).json({
+        error: 'ShipRelay rejected the address',
+        details: data.message || 'Address update failed',
+        fields: mapAddressErrors(data.errors)
       });
-      return;
     }
 
-    console.log(`📦 Cancelling ${fulfillmentOrders.length} fulfillment orders for Shopify order ${order.name}`);
-    
-    // Step 3: Submit cancellation request for each fulfillment order
-    const cancellationMutation = `
-      mutation fulfillmentOrderSubmitCancellationRequest($id: ID!, $message: String) {
-        fulfillmentOrderSubmitCancellationRequest(id: $id, message: $message) {
-          fulfillmentOrder {
-            id
-            status
-            requestStatus
-          }
-          userErrors {
-            field
-            message
-          }
-        }
-      }
-    `;
-
-    for (const fulfillmentOrder of fulfillmentOrders) {
-      const cancellationResponse = await fetch(graphqlUrl, {
-        method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json',
-          'User-Agent': 'ShipRelay-Integration/1.0'
-        },
-        body: JSON.stringify({
-          query: cancellationMutation,
-          variables: { 
-            id: fulfillmentOrder.id,
-            message: 'Order archived in ShipRelay'
-          }
-        })
+    res.json({ data: data.data || data });
+  } catch (err) {
+    logger.error('Address update failed', { shipment_id: req.params.id, err });
+    await recordAudit({ ...auditContext(req), action: 'update_address', upstream: [{ service: 'shiprelay', error: err.message }] });
+    res.status(500).json({ error: 'Failed to update address', details: err.message });
+  }
+});
+
+// Replacement items as [{ product_id, quantity }]. Quantity 0 drops an item, null means the list is invalid.
+function parseReplacementItems(input) {
+  if (!Array.isArray(input)) {
+    return null;
+  }
+
+  const items = input
+    .map(item => ({ product_id: item?.product_id, quantity: Number(item?.quantity) }))
+    .filter(item => item.quantity !== 0);
+  const valid = items.length > 0 &&
+    items.every(item => item.product_id != null && Number.isInteger(item.quantity) && item.quantity > 0);
+  return valid ? items : null;
+}
+
+// Send a new shipment for a lost or damaged parcel. Items and address come from the original
+// unless the body overrides them, and the new shipment's order ref gets a replacement suffix.
+router.post('/shipment/:id/replace', limitChanges, async (req, res) => {
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    return res.status(400).json({
+      error: 'Missing reason parameter',
+      details: 'reason is required, e.g. "Parcel lost in transit"'
+    });
+  }
+
+  try {
+    const original = await getShipment(req.tenant, req.params.id);
+    if (!original) {
+      return res.status(404).json({ error: 'Shipment not found' });
+    }
+
+    if (!canReplace(original) || !original.order_ref) {
+      return res.status(409).json({
+        error: 'Shipment cannot be replaced',
+        details: original.order_ref
+          ? `Only ${REPLACEABLE_STATUSES.join(', ')} shipments can be replaced, this one is ${original.status}`
+          : 'Shipment has no order ref'
       });
+    }
 
-      if (cancellationResponse.ok) {
-        const cancellationData = await cancellationResponse.json();
-        
-        if (cancellationData.errors) {
-          console.error(`❌ GraphQL errors for fulfillment order:`, cancellationData.errors);
-        } else if (cancellationData.data?.fulfillmentOrderSubmitCancellationRequest?.userErrors?.length > 0) {
-          console.error(`❌ User errors for fulfillment order:`, 
-            cancellationData.data.fulfillmentOrderSubmitCancellationRequest.userErrors);
-        } else {
-          console.log(`✅ Successfully cancelled Shopify fulfillment for order ${order.name}`);
-        }
-      } else {
-        console.error(`❌ Failed to cancel Shopify fulfillment for order ${order.name}`);
-      }
+    const items = req.body.items === undefined ? getReplacementItems(original) : parseReplacementItems(req.body.items);
+    if (!items) {
+      return res.status(400).json({
+        error: 'Invalid items parameter',
+        details: 'items must list { product_id, quantity } with at least one positive whole quantity'
+      });
     }
-    
+
+    const address = { ...pickAddress(original.address), ...pickAddress(req.body.address) };
+    const missingFields = findMissingAddressFields(address);
+    if (Object.keys(missingFields).length > 0) {
+      return res.status(400).json({
+        error: 'Invalid address',
+        details: 'Required address fields are missing',
+        fields: missingFields
+      });
+    }
+
+    const replacement = await createReplacementShipment(req.tenant, original, { items, address, reason });
+
+    await recordAudit({
+      ...auditContext(req),
+      orderRef: original.order_ref,
+      action: 'replace',
+      upstream: [{ service: 'shiprelay', status: replacement.status, body: replacement.body, reason }]
+    });
+
+    if (typeof replacement.body !== 'object') {
+      logger.error('ShipRelay replacement returned a non-JSON response', { shipment_id: original.id, status: replacement.status, body: replacement.body });
+      return res.status(500).json({ error: 'Invalid response from ShipRelay', raw: replacement.body });
+    }
+
+    if (!replacement.ok) {
+      logger.warn('ShipRelay rejected the replacement', { shipment_id: original.id, status: replacement.status, body: replacement.body });
+      return res.status(replacement.status).json({
+        error: 'ShipRelay rejected the replacement',
+        details: replacement.body.message || 'Replacement failed',
+        fields: mapAddressErrors(replacement.body.errors)
+      });
+    }
+
+    logger.info('Replacement shipment created', { shipment_id: original.id, order_ref: replacement.orderRef });
+    res.status(201).json({
+      data: replacement.body.data || replacement.body,
+      replacement_of: { id: String(original.id), order_ref: original.order_ref, status: original.status },
+      reason
+    });
   } catch (err) {
-    console.error('Error cancelling Shopify fulfillment:', err);
+    logger.error('Creating replacement shipment failed', { shipment_id: req.params.id, err });
+    await recordAudit({ ...auditContext(req), action: 'replace', upstream: [{ service: 'shiprelay', error: err.message }] });
+    res.status(500).json({ error: 'Failed to create replacement', details: err.message });
+  }
+});
+
+// Query the audit log, e.g. "who archived this and when"
+router.get('/audit', async (req, res) => {
+  const { order_ref, shipment_id, agent, from, to, limit } = req.query;
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      return res.status(400).json({
+        error: `Invalid ${name} parameter`,
+        details: `${name} must be a valid date`
+      });
+    }
+  }
+
+  const maxEntries = Number(limit ?? 100);
+  if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+    return res.status(400).json({
+      error: 'Invalid limit parameter',
+      details: 'limit must be a positive integer'
+    });
   }
-}
 
-router.patch('/shipment/:id/archive', async (req, res) => {
   try {
-    const token = await getShipRelayToken();
-    
-    // Get shipment data first to extract order info for Shopify cancellation
-    const shipmentResponse = await fetch(`https://console.shiprelay.com/api/v2/shipments/${req.params.id}`, {
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${token}`
-      }
+    const entries = await queryAudit(req.tenant, {
+      orderRef: order_ref,
+      shipmentId: shipment_id,
+      agent,
+      from,
+      to,
+      limit: Math.min(maxEntries, 1000)
     });
-    
-    let shipmentData = null;
-    if (shipmentResponse.ok) {
-      const shipmentJson = await shipmentResponse.json();
-      shipmentData = shipmentJson.data || shipmentJson;
-    }
+    res.json({ data: entries });
+  } catch (err) {
+    logger.error('Audit query failed', { err });
+    res.status(500).json({ error: 'Failed to read audit log', details: err.message });
+  }
+});
 
-    const response = await fetch(`https://console.shiprelay.com/api/v2/shipments/${req.params.id}/archive`, {
-      method: 'PATCH',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${token}`
-      },
-      body: JSON.stringify({})
+// Shopify cancellations still waiting for a retry ('pending') or given up on ('dead')
+router.get('/shopify/cancellations', async (req, res) => {
+  const allowedStatuses = ['pending', 'dead', 'done'];
+  const statuses = req.query.status ? [].concat(req.query.status) : ['pending', 'dead'];
+
+  if (statuses.some(status => !allowedStatuses.includes(status))) {
+    return res.status(400).json({
+      error: 'Invalid status parameter',
+      details: `status must be one of ${allowedStatuses.join(', ')}`
     });
+  }
 
-    const text = await response.text();
-    try {
-      const data = JSON.parse(text);
-      
-      // Cancel Shopify fulfillment if archive was successful
-      if (response.ok && shipmentData) {
-        await cancelShopifyFulfillment(shipmentData);
-      }
-      
-      res.status(response.status).json(data);
-    } catch (parseErr) {
-      console.error('ShipRelay archive failed with non-JSON response:', text);
-      res.status(500).json({ error: 'Invalid response from ShipRelay', raw: text });
+  try {
+    res.json({ data: await listShopifyCancellations(req.tenant, statuses) });
+  } catch (err) {
+    logger.error('Reading the Shopify retry queue failed', { err });
+    res.status(500).json({ error: 'Failed to read Shopify retry queue', details: err.message });
+  }
+});
+
+// Payment and fulfillment status from Shopify for the order panel, plus where it disagrees with ShipRelay
+router.get('/shopify/order', async (req, res) => {
+  // Repeated (?order_ref=a&order_ref=b) it arrives as an array
+  const orderRef = typeof req.query.order_ref === 'string' ? req.query.order_ref.trim() : '';
+  if (!orderRef) {
+    return res.status(400).json({
+      error: 'Missing or invalid order_ref parameter',
+      details: 'order_ref must be a non-empty string'
+    });
+  }
+
+  // Brands without a Shopify store are a normal setup, the sidebar just leaves the panel out
+  if (!isShopifyConfigured(req.tenant)) {
+    return res.status(404).json({
+      error: 'Shopify not configured',
+      details: 'This brand has no Shopify store',
+      not_configured: true
+    });
+  }
+
+  try {
+    const [order, shipments] = await Promise.all([
+      getShopifyOrder(req.tenant, orderRef),
+      searchShipments(req.tenant, { order_ref: orderRef })
+    ]);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Shopify order not found' });
     }
+
+    revalidateOnEveryUse(res);
+    res.json({ data: order, mismatches: findOrderMismatches(order, shipments) });
   } catch (err) {
-    console.error('Error archiving shipment:', err);
-    res.status(500).json({ error: 'Failed to archive shipment' });
+    logger.error('Shopify order lookup failed', { err });
+    res.status(502).json({ error: 'Failed to fetch Shopify order', details: err.message });
   }
 });
@@ -0,0 +1,97 @@
+import express from 'express';
+import { verifyShipRelaySignature, handleShipmentStatusChange } from '../services/shiprelayWebhooks.js';
+import { isZendeskConfigured } from '../services/zendesk.js';
+import { getTenant } from '../services/tenants.js';
+import { SHOPIFY_SYNC_TOPICS, verifyShopifySignature, handleShopifyCancellation } from '../services/shopifyWebhooks.js';
+import { logger } from '../services/logger.js';
+
+const router = express.Router();
+
+// ShipRelay shipment status changes, one webhook URL per tenant. Signed with the tenant's
+// webhook secret instead of a Zendesk token. /shiprelay alone is the env-based default tenant.
+router.post(['/shiprelay', '/shiprelay/:tenantId'], async (req, res) => {
+  const tenant = getTenant(req.params.tenantId || 'default');
+  if (!tenant) {
+    return res.status(404).json({ error: 'Unknown tenant' });
+  }
+
+  if (!verifyShipRelaySignature(tenant, req.rawBody, req.get('X-ShipRelay-Signature'))) {
+    logger.warn('Rejected ShipRelay webhook with invalid signature', { tenant_id: tenant.id });
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  const shipment = req.body?.data || req.body?.shipment;
+  if (!shipment?.id || !shipment?.status) {
+    return res.status(400).json({
+      error: 'Invalid webhook payload',
+      details: 'Expected a shipment with id and status'
+    });
+  }
+
+  if (!isZendeskConfigured(tenant)) {
+    logger.error('ShipRelay webhook received but the Zendesk API is not configured', { tenant_id: tenant.id });
+    return res.status(500).json({ error: 'Zendesk API not configured' });
+  }
+
+  try {
+    const { duplicate, record } = await handleShipmentStatusChange(tenant, {
+      deliveryId: req.get('X-ShipRelay-Delivery') || req.body.id,
+      shipment
+    });
+
+    if (duplicate) {
+      return res.status(200).json({ status: 'duplicate' });
+    }
+
+    // A non-2xx makes ShipRelay redeliver, which only retries the tickets that failed
+    res.status(record.complete ? 200 : 502).json({ status: record.complete ? 'processed' : 'incomplete', tickets: record.tickets });
+  } catch (err) {
+    logger.error('ShipRelay webhook failed', { tenant_id: tenant.id, err });
+    res.status(500).json({ error: 'Failed to process webhook', details: err.message });
+  }
+});
+
+// Shopify order cancellations, archived in ShipRelay so a cancelled order can't still ship.
+// Same per-tenant URLs as above, signed with the tenant's Shopify webhook secret.
+router.post(['/shopify', '/shopify/:tenantId'], async (req, res) => {
+  const tenant = getTenant(req.params.tenantId || 'default');
+  if (!tenant) {
+    return res.status(404).json({ error: 'Unknown tenant' });
+  }
+
+  if (!verifyShopifySignature(tenant, req.rawBody, req.get('X-Shopify-Hmac-Sha256'))) {
+    logger.warn('Rejected Shopify webhook with invalid signature', { tenant_id: tenant.id });
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  const topic = req.get('X-Shopify-Topic');
+  if (!SHOPIFY_SYNC_TOPICS.includes(topic)) {
+    // Acknowledge so Shopify doesn't keep redelivering topics we don't act on
+    return res.status(200).json({ status: 'ignored', topic });
+  }
+
+  const webhookId = req.get('X-Shopify-Webhook-Id') || req.get('X-Shopify-Event-Id');
+  if (!webhookId) {
+    return res.status(400).json({ error: 'Invalid webhook', details: 'Missing X-Shopify-Webhook-Id header' });
+  }
+
+  try {
+    const { duplicate, record } = await handleShopifyCancellation(tenant, { webhookId, topic, payload: req.body || {} });
+
+    if (duplicate) {
+      return res.status(200).json({ status: 'duplicate' });
+    }
+
+    // A non-2xx makes Shopify redeliver, which retries the shipments that are still active
+    res.status(record.complete ? 200 : 502).json({
+      status: record.complete ? 'processed' : 'incomplete',
+      order_ref: record.order_ref,
+      shipments: record.shipments
+    });
+  } catch (err) {
+    logger.error('Shopify webhook failed', { tenant_id: tenant.id, topic, err });
+    res.status(500).json({ error: 'Failed to process webhook', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,53 @@
+import { randomUUID } from 'crypto';
+import { appendJsonLine, readJsonLines } from './dataStore.js';
+import { logger, getRequestId } from './logger.js';
+
+const AUDIT_FILE = 'audit.jsonl';
+
+// Who did what to which shipment, from which ticket, and what ShipRelay/Shopify said about it
+export async function recordAudit({ tenant, agent, ticketId, shipmentId, orderRef, action, upstream = [], shopifyCancellation = null }) {
+  const entry = {
+    id: randomUUID(),
+    timestamp: new Date().toISOString(),
+    tenant_id: tenant?.id || null,
+    request_id: getRequestId(),
+    agent: agent || null,
+    ticket_id: ticketId || null,
+    shipment_id: shipmentId ? String(shipmentId) : null,
+    order_ref: orderRef || null,
+    action,
+    upstream,
+    shopify_cancellation: shopifyCancellation
+  };
+
+  try {
+    await appendJsonLine(AUDIT_FILE, entry);
+  } catch (err) {
+    // The action already happened upstream, so keep the details in the host logs at least
+    logger.error('Failed to write audit entry', { err, entry });
+  }
+  return entry;
+}
+
+function matchesAgent(entryAgent, agent) {
+  const needle = agent.toLowerCase();
+  return [entryAgent?.id, entryAgent?.email, entryAgent?.name]
+    .some(value => value != null && String(value).toLowerCase() === needle);
+}
+
+// Newest first, only the tenant's own entries. from/to are anything Date can parse, agent matches id, email or name.
+export async function queryAudit(tenant, { orderRef, shipmentId, agent, from, to, limit = 100 } = {}) {
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  const entries = await readJsonLines(AUDIT_FILE);
+  return entries
+    .filter(entry => entry.tenant_id === tenant.id)
+    .filter(entry => !orderRef || entry.order_ref === orderRef)
+    .filter(entry => !shipmentId || entry.shipment_id === String(shipmentId))
+    .filter(entry => !agent || matchesAgent(entry.agent, agent))
+    .filter(entry => fromTime === null || new Date(entry.timestamp).getTime() >= fromTime)
+    .filter(entry => toTime === null || new Date(entry.timestamp).getTime() <= toTime)
+    .reverse()
+    .slice(0, limit);
+}
@@ -0,0 +1,68 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+// Everything the backend persists lives under DATA_DIR (mount a disk there in production)
+const DATA_DIR = process.env.DATA_DIR || path.resolve('data');
+
+function dataPath(fileName) {
+  return path.join(DATA_DIR, fileName);
+}
+
+// Appends one JSON document per line, so a crash can at worst lose the last partial line
+export async function appendJsonLine(fileName, entry) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.appendFile(dataPath(fileName), `${JSON.stringify(entry)}\n`);
+}
+
+export async function readJsonLines(fileName) {
+  let text;
+  try {
+    text = await fs.readFile(dataPath(fileName), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  return text.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (err) {
+      logger.warn('Skipping corrupt line', { file: fileName });
+      return [];
+    }
+  });
+}
+
+export async function readJson(fileName, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(dataPath(fileName), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+}
+
+// Write to a temp file and rename so readers never see a half-written document
+export async function writeJson(fileName, value) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const tempPath = `${dataPath(fileName)}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(value, null, 2));
+  await fs.rename(tempPath, dataPath(fileName));
+}
+
+// Serialises read-modify-write cycles on one file within this process
+const fileLocks = new Map();
+
+export function updateJson(fileName, fallback, update) {
+  const previous = fileLocks.get(fileName) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const value = await readJson(fileName, fallback);
+    const result = await update(value);
+    await writeJson(fileName, value);
+    return result;
+  });
+
+  fileLocks.set(fileName, next);
+  return next;
+}
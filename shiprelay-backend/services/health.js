@@ -0,0 +1,54 @@
+import { getTenants } from './tenants.js';
+import { shiprelayRequest } from './shiprelayClient.js';
+import { isShopifyConfigured, checkShopifyCredentials } from './shopify.js';
+
+const HEALTH_TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS) || 5000;
+
+async function runCheck(check) {
+  const start = performance.now();
+  try {
+    const details = await check();
+    return { status: 'ok', latency_ms: Math.round(performance.now() - start), ...details };
+  } catch (err) {
+    return { status: 'error', latency_ms: Math.round(performance.now() - start), error: err.message };
+  }
+}
+
+// An authenticated call rather than just a token: the client logs in when it has no token and again
+// when ShipRelay rejects the cached one, so changed credentials show up here as well
+function checkShipRelay(tenant) {
+  if (!tenant.shiprelay.email || !tenant.shiprelay.password) {
+    return { status: 'not_configured' };
+  }
+
+  return runCheck(async () => {
+    const response = await shiprelayRequest(tenant, '/shipments?per_page=1', { timeout: HEALTH_TIMEOUT_MS });
+    if (!response.ok) {
+      throw new Error(`ShipRelay returned ${response.status}`);
+    }
+    return {};
+  });
+}
+
+function checkShopify(tenant) {
+  if (!isShopifyConfigured(tenant)) {
+    return { status: 'not_configured' };
+  }
+  return runCheck(async () => ({ shop: await checkShopifyCredentials(tenant) }));
+}
+
+// ShipRelay and Shopify status for every tenant. A store that isn't configured isn't a failure,
+// only checks that ran and failed make the backend "degraded".
+export async function checkHealth() {
+  const tenants = await Promise.all(getTenants().map(async tenant => {
+    const [shiprelay, shopify] = await Promise.all([checkShipRelay(tenant), checkShopify(tenant)]);
+    return { id: tenant.id, shiprelay, shopify };
+  }));
+
+  const failing = tenants.some(tenant => tenant.shiprelay.status === 'error' || tenant.shopify.status === 'error');
+  return {
+    status: failing ? 'degraded' : 'ok',
+    checked_at: new Date().toISOString(),
+    tenants
+  };
+}
@@ -0,0 +1,64 @@
+import { readJson, updateJson } from './dataStore.js';
+
+const KEYS_FILE = 'idempotency-keys.json';
+const KEY_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// Scoped key -> { key, fingerprint, status, body, created_at }, loaded from disk on first use
+let results = null;
+const inFlight = new Set();
+
+async function loadResults() {
+  if (!results) {
+    results = new Map();
+    (await readJson(KEYS_FILE, [])).forEach(record => results.set(record.key, record));
+  }
+  return results;
+}
+
+function isExpired(record) {
+  return Date.parse(record.created_at) + KEY_TTL_MS < Date.now();
+}
+
+// Stored bodies carry customer addresses, so expired ones don't stay in memory until a restart
+const SWEEP_INTERVAL_MS = Math.min(KEY_TTL_MS, 60 * 60 * 1000);
+setInterval(() => {
+  results?.forEach((record, key) => {
+    if (isExpired(record)) results.delete(key);
+  });
+}, SWEEP_INTERVAL_MS).unref();
+
+// Resolves with { state } where state is 'new' (caller runs the request and must complete or abandon it),
+// 'replay' (record holds the stored response), 'mismatch' (key used for another request) or 'in_progress'
+export async function beginIdempotentRequest(key, fingerprint) {
+  const known = await loadResults();
+  const record = known.get(key);
+
+  if (record && isExpired(record)) {
+    known.delete(key);
+  } else if (record) {
+    return { state: record.fingerprint === fingerprint ? 'replay' : 'mismatch', record };
+  }
+  if (inFlight.has(key)) {
+    return { state: 'in_progress' };
+  }
+
+  inFlight.add(key);
+  return { state: 'new' };
+}
+
+// The memory map is updated before the write so a repeat arriving meanwhile already gets the replay
+export async function completeIdempotentRequest(key, fingerprint, { status, body }) {
+  const record = { key, fingerprint, status, body, created_at: new Date().toISOString() };
+  results.set(key, record);
+  inFlight.delete(key);
+
+  await updateJson(KEYS_FILE, [], stored => {
+    const kept = stored.filter(entry => entry.key !== key && !isExpired(entry));
+    stored.splice(0, stored.length, ...kept, record);
+  });
+}
+
+// Nothing worth replaying came back (a crash or a 5xx), the next attempt with the key runs for real
+export function abandonIdempotentRequest(key) {
+  inFlight.delete(key);
+}
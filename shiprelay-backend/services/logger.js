@@ -0,0 +1,91 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// One JSON object per line on stdout/stderr, tagged with the id of the request being handled
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+// Values under these keys never reach the logs, at any depth. Customer and address objects go
+// whole since ShipRelay and Shopify bodies carry names, emails and phone numbers inside them.
+const REDACTED_KEYS = new Set([
+  'password', 'token', 'access_token', 'accesstoken', 'api_token', 'apitoken', 'authorization', 'cookie',
+  'secret', 'webhooksecret', 'email', 'phone', 'first_name', 'last_name', 'customer', 'address',
+  'address1', 'address2', 'billing_address', 'shipping_address'
+]);
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 6;
+
+const EMAIL_PATTERN = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+const BEARER_PATTERN = /\b(Bearer|Basic)\s+[\w\-.~+/]+=*/gi;
+
+const requestContext = new AsyncLocalStorage();
+
+// Everything called from fn, including awaited work, logs with this request id
+export function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+export function getRequestId() {
+  return requestContext.getStore()?.requestId ?? null;
+}
+
+// Emails and credentials also turn up inside upstream error texts, not just under known keys
+function redactString(value) {
+  return value.replace(EMAIL_PATTERN, REDACTED).replace(BEARER_PATTERN, `$1 ${REDACTED}`);
+}
+
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message), stack: value.stack && redactString(value.stack) };
+  }
+  if (Array.isArray(value)) {
+    return depth >= MAX_DEPTH ? '[array]' : value.map(item => redact(item, depth + 1));
+  }
+  if (value && typeof value === 'object') {
+    if (depth >= MAX_DEPTH) return '[object]';
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [
+      key,
+      REDACTED_KEYS.has(key.toLowerCase()) ? REDACTED : redact(nested, depth + 1)
+    ]));
+  }
+  return value;
+}
+
+// Key redaction only sees parsed bodies, so an upstream body is logged parsed or only by its size
+export function upstreamBody(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return `[${text.length} characters, not JSON]`;
+  }
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    request_id: getRequestId(),
+    msg: redactString(message),
+    ...redact(fields)
+  });
+
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+// logger.info('Shipment archived', { shipment_id: 1 }), errors go in as { err }
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
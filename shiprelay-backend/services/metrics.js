@@ -0,0 +1,131 @@
+// In-memory Prometheus metrics, served as text by GET /metrics and reset when the process restarts
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length > 0 ? `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+}
+
+// Same labels in any order are one series
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function createCounter(name, help) {
+  const series = new Map();
+
+  const counter = {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    render() {
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+      ];
+    }
+  };
+
+  registry.push(counter);
+  return counter;
+}
+
+function createHistogram(name, help, buckets = DURATION_BUCKETS) {
+  const series = new Map();
+
+  const histogram = {
+    observe(labels, value) {
+      const key = seriesKey(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    render() {
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} histogram`,
+        ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+          `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`
+        ])
+      ];
+    }
+  };
+
+  registry.push(histogram);
+  return histogram;
+}
+
+export const httpRequests = createCounter(
+  'shiprelay_backend_http_requests_total',
+  'Requests handled by the backend, by method, route and status code'
+);
+
+export const httpRequestDuration = createHistogram(
+  'shiprelay_backend_http_request_duration_seconds',
+  'Time to respond, by method and route'
+);
+
+export const upstreamRequests = createCounter(
+  'shiprelay_backend_upstream_requests_total',
+  'Calls to ShipRelay, Shopify and Zendesk, by upstream, endpoint and status code ("error" when no response came back)'
+);
+
+export const upstreamRequestDuration = createHistogram(
+  'shiprelay_backend_upstream_request_duration_seconds',
+  'Upstream call latency, by upstream and endpoint'
+);
+
+export const tokenRefreshes = createCounter(
+  'shiprelay_backend_token_refreshes_total',
+  'ShipRelay logins for a new access token, by tenant and outcome'
+);
+
+export const shopifyCancellations = createCounter(
+  'shiprelay_backend_shopify_cancellations_total',
+  'Shopify fulfillment cancellation attempts, by tenant, trigger and outcome'
+);
+
+export const rateLimited = createCounter(
+  'shiprelay_backend_rate_limited_total',
+  'Requests turned away with a 429, by the limit they hit'
+);
+
+// Ids in upstream paths would make a series per shipment, /shipments/123/hold -> /shipments/:id/hold
+export function endpointLabel(path) {
+  return path.split('?')[0].replace(/\/\d+(?=\/|\.json|$)/g, '/:id');
+}
+
+// Runs one upstream call and records its count and latency, request must resolve with a fetch response
+export async function trackUpstream(upstream, endpoint, request) {
+  const start = performance.now();
+  let status = 'error';
+  try {
+    const response = await request();
+    status = response.status;
+    return response;
+  } finally {
+    upstreamRequests.inc({ upstream, endpoint, status });
+    upstreamRequestDuration.observe({ upstream, endpoint }, (performance.now() - start) / 1000);
+  }
+}
+
+export function renderMetrics() {
+  return `${registry.flatMap(metric => metric.render()).join('\n')}\n`;
+}
@@ -0,0 +1,55 @@
+import { canArchive } from './shipmentArchive.js';
+
+const CLOSED_FULFILLMENT_STATUSES = ['CLOSED', 'CANCELLED'];
+const CANCELLING_REQUEST_STATUSES = ['CANCELLATION_REQUESTED', 'CANCELLATION_ACCEPTED'];
+const REFUNDED_FINANCIAL_STATUSES = ['REFUNDED', 'VOIDED'];
+
+// Fulfillment orders Shopify still expects to be shipped
+function isOpen(fulfillmentOrder) {
+  return !CLOSED_FULFILLMENT_STATUSES.includes(fulfillmentOrder.status) &&
+    !CANCELLING_REQUEST_STATUSES.includes(fulfillmentOrder.request_status);
+}
+
+function count(items, noun) {
+  return `${items.length} ${noun}${items.length === 1 ? '' : 's'}`;
+}
+
+function ids(items) {
+  return items.map(item => String(item.id));
+}
+
+// Places where ShipRelay and Shopify disagree about an order, for the sidebar to flag.
+// Shipments don't say which fulfillment order they belong to, so the checks work per order.
+export function findOrderMismatches(order, shipments) {
+  const mismatches = [];
+  const openFulfillmentOrders = order.fulfillment_orders.filter(isOpen);
+  const archived = shipments.filter(shipment => shipment.status?.toLowerCase() === 'inactive');
+  const active = shipments.filter(canArchive);
+
+  if (archived.length > 0 && archived.length === shipments.length && openFulfillmentOrders.length > 0) {
+    mismatches.push({
+      type: 'archived_but_open',
+      message: `All shipments are archived in ShipRelay but ${count(openFulfillmentOrders, 'fulfillment order')} ${openFulfillmentOrders.length === 1 ? 'is' : 'are'} still open in Shopify`,
+      shipment_ids: ids(archived),
+      fulfillment_order_ids: ids(openFulfillmentOrders)
+    });
+  }
+
+  if (order.cancelled_at && active.length > 0) {
+    mismatches.push({
+      type: 'cancelled_but_active',
+      message: `The Shopify order was cancelled but ${count(active, 'shipment')} ${active.length === 1 ? 'is' : 'are'} still active in ShipRelay`,
+      shipment_ids: ids(active),
+      fulfillment_order_ids: []
+    });
+  } else if (REFUNDED_FINANCIAL_STATUSES.includes(order.financial_status) && active.length > 0) {
+    mismatches.push({
+      type: 'refunded_but_active',
+      message: `The Shopify order is ${order.financial_status.toLowerCase()} but ${count(active, 'shipment')} ${active.length === 1 ? 'is' : 'are'} still active in ShipRelay`,
+      shipment_ids: ids(active),
+      fulfillment_order_ids: []
+    });
+  }
+
+  return mismatches;
+}
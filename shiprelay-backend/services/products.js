@@ -0,0 +1,59 @@
+import { shiprelayRequest } from './shiprelayClient.js';
+import { createResponseCache } from './responseCache.js';
+import { logger } from './logger.js';
+
+const PRODUCT_CACHE_TTL_MS = Number(process.env.PRODUCT_CACHE_TTL_MS) || 10 * 60 * 1000;
+
+const productCache = createResponseCache({ ttlMs: PRODUCT_CACHE_TTL_MS });
+
+async function fetchProduct(tenant, id) {
+  const response = await shiprelayRequest(tenant, `/products/${id}`);
+
+  if (response.status === 404) {
+    return { value: null };
+  }
+
+  if (!response.ok) {
+    const error = new Error(`Failed to fetch product ${id}: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return { value: await response.json() };
+}
+
+// Resolves with the ShipRelay product body, or null when the product doesn't exist
+export function getProduct(tenant, id) {
+  return productCache.get(`${tenant.id}:${id}`, () => fetchProduct(tenant, id));
+}
+
+function getProductImage(product) {
+  return product.image_url || product.image || product.images?.[0]?.url || product.images?.[0] || null;
+}
+
+// Joins each shipment item with its product so the sidebar can show name, SKU and image
+export async function getShipmentLineItems(tenant, shipment) {
+  const items = Array.isArray(shipment.items) ? shipment.items : [];
+
+  return Promise.all(items.map(async item => {
+    const productId = item.product_id ?? item.product?.id;
+    let product = null;
+
+    if (productId) {
+      try {
+        const productData = await getProduct(tenant, productId);
+        product = productData?.data || productData;
+      } catch (err) {
+        logger.warn('Could not load product', { product_id: productId, shipment_id: shipment.id, err });
+      }
+    }
+
+    return {
+      product_id: productId ?? null,
+      name: product?.name || item.name || null,
+      sku: product?.sku || item.sku || null,
+      quantity: item.quantity ?? 1,
+      image: product ? getProductImage(product) : null
+    };
+  }));
+}
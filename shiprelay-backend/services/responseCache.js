@@ -0,0 +1,55 @@
+// In-memory TTL cache for upstream lookups. Entries hold the promise rather than the value, so
+// identical lookups that arrive while one is in flight share it instead of calling ShipRelay again.
+// Loaders may return { value, tags } to make the entry removable with invalidate(tag).
+export function createResponseCache({ ttlMs }) {
+  // key -> { promise, expiry, tags }
+  const entries = new Map();
+
+  // Expired entries are otherwise only replaced when their key is asked for again, and most
+  // email, name and tracking searches never are
+  setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiry <= now) entries.delete(key);
+    });
+  }, Math.max(ttlMs, 1000)).unref();
+
+  function get(key, loader) {
+    const cached = entries.get(key);
+    if (cached && Date.now() < cached.expiry) {
+      return cached.promise;
+    }
+
+    const entry = { expiry: Date.now() + ttlMs, tags: null };
+    entry.promise = loader().then(result => {
+      entry.tags = new Set(result?.tags || []);
+      return result?.value;
+    });
+    entries.set(key, entry);
+
+    // Don't keep failures around, the next caller should try again
+    entry.promise.catch(() => {
+      if (entries.get(key) === entry) entries.delete(key);
+    });
+    return entry.promise;
+  }
+
+  // Drops everything tagged with any of the tags. Lookups still in flight are dropped too,
+  // their tags aren't known yet and they may have read the state from before the change.
+  function invalidate(...tags) {
+    let removed = 0;
+    entries.forEach((entry, key) => {
+      if (!entry.tags || tags.some(tag => entry.tags.has(tag))) {
+        entries.delete(key);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  return { get, invalidate, clear };
+}
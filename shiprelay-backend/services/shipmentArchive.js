@@ -0,0 +1,117 @@
+import { shiprelayRequest } from './shiprelayClient.js';
+import { cancelShopifyFulfillment } from './shopify.js';
+import { enqueueShopifyCancellation } from './shopifyRetryQueue.js';
+import { invalidateShipmentCache } from './shipmentSearch.js';
+import { shopifyCancellations } from './metrics.js';
+
+// Same rule as canArchiveShipment in the sidebar
+export const NON_ARCHIVABLE_STATUSES = ['inactive', 'shipped', 'returned'];
+
+export function canArchive(shipment) {
+  return !NON_ARCHIVABLE_STATUSES.includes(shipment.status?.toLowerCase());
+}
+
+// Resolves with { status, shipment }, shipment is null unless ShipRelay answered OK
+export async function lookupShipment(tenant, id) {
+  const response = await shiprelayRequest(tenant, `/shipments/${id}`);
+  if (!response.ok) {
+    return { status: response.status, shipment: null };
+  }
+
+  const shipmentJson = await response.json();
+  return { status: response.status, shipment: shipmentJson.data || shipmentJson };
+}
+
+export async function getShipment(tenant, id) {
+  return (await lookupShipment(tenant, id)).shipment;
+}
+
+// Cancels the Shopify fulfillment for an order and queues a retry if that didn't work out
+export async function cancelOrderFulfillment(tenant, orderRef, shipmentIds) {
+  const result = await cancelShopifyFulfillment(tenant, { order_ref: orderRef });
+  shopifyCancellations.inc({ tenant: tenant.id, trigger: 'archive', outcome: result.status });
+
+  // Don't leave the Shopify order open, the retry worker picks it up from here
+  if (result.retryable) {
+    let retry;
+    for (const shipmentId of shipmentIds) {
+      retry = await enqueueShopifyCancellation({ tenant, orderRef, shipmentId, result });
+    }
+    result.retry = { id: retry.id, next_attempt_at: retry.next_attempt_at };
+  }
+  return result;
+}
+
+async function archiveOne(tenant, shipment) {
+  const result = {
+    id: String(shipment.id),
+    order_ref: shipment.order_ref || null,
+    previous_status: shipment.status || null,
+    status: 'failed',
+    http_status: null,
+    error: null,
+    response: null
+  };
+
+  try {
+    const response = await shiprelayRequest(tenant, `/shipments/${shipment.id}/archive`, { method: 'PATCH', body: {} });
+    const text = await response.text();
+    result.http_status = response.status;
+
+    try {
+      result.response = JSON.parse(text);
+    } catch (parseErr) {
+      result.response = text;
+    }
+
+    if (response.ok) {
+      result.status = 'archived';
+    } else {
+      result.error = result.response?.message || `ShipRelay returned ${response.status}`;
+    }
+  } catch (err) {
+    result.error = err.message;
+  } finally {
+    invalidateShipmentCache(tenant, shipment.id, shipment.order_ref);
+  }
+
+  return result;
+}
+
+// Archives every archivable shipment, then cancels the Shopify fulfillment once per order
+// for the orders where at least one shipment was archived. Never throws for a single shipment.
+// cancelInShopify: false is for archives Shopify itself asked for, which must not echo back.
+export async function archiveShipments(tenant, shipments, { cancelInShopify = true } = {}) {
+  const results = [];
+  for (const shipment of shipments) {
+    if (!canArchive(shipment)) {
+      results.push({
+        id: String(shipment.id),
+        order_ref: shipment.order_ref || null,
+        previous_status: shipment.status || null,
+        status: 'skipped',
+        error: `Shipments with status ${shipment.status} can't be archived`
+      });
+      continue;
+    }
+    results.push(await archiveOne(tenant, shipment));
+  }
+
+  const archivedByOrder = new Map();
+  results
+    .filter(result => result.status === 'archived' && result.order_ref)
+    .forEach(result => {
+      if (!archivedByOrder.has(result.order_ref)) archivedByOrder.set(result.order_ref, []);
+      archivedByOrder.get(result.order_ref).push(result.id);
+    });
+
+  const shopify = {};
+  if (!cancelInShopify) {
+    return { results, shopify };
+  }
+  for (const [orderRef, shipmentIds] of archivedByOrder) {
+    shopify[orderRef] = await cancelOrderFulfillment(tenant, orderRef, shipmentIds);
+  }
+
+  return { results, shopify };
+}
@@ -0,0 +1,64 @@
+// Statuses shown when the caller doesn't ask for specific ones
+export const DEFAULT_VISIBLE_STATUSES = (process.env.SHIPMENT_DEFAULT_STATUSES || 'queued,held,requested,processing,shipped')
+  .split(',')
+  .map(status => status.trim().toLowerCase())
+  .filter(Boolean);
+
+export const SORT_ORDERS = {
+  updated_desc: (a, b) => new Date(b.updated_at) - new Date(a.updated_at),
+  updated_asc: (a, b) => new Date(a.updated_at) - new Date(b.updated_at),
+  created_desc: (a, b) => new Date(b.created_at) - new Date(a.created_at),
+  created_asc: (a, b) => new Date(a.created_at) - new Date(b.created_at)
+};
+
+// Splits shipments into the ones to show and the ones to hide, with the reason for each hidden one.
+//   includeAll  - show everything
+//   statuses    - show exactly these statuses
+//   otherwise   - the most recently updated shipment plus anything in DEFAULT_VISIBLE_STATUSES
+export function filterShipments(shipments, { statuses, includeAll = false, sort = 'updated_desc' } = {}) {
+  const sorted = [...shipments].sort(SORT_ORDERS[sort]);
+
+  if (includeAll) {
+    return { visible: sorted, hidden: [] };
+  }
+
+  const visible = [];
+  const hidden = [];
+
+  if (statuses) {
+    sorted.forEach(shipment => {
+      if (statuses.includes(shipment.status?.toLowerCase())) {
+        visible.push(shipment);
+      } else {
+        hidden.push({ shipment, reason: 'status_filter' });
+      }
+    });
+    return { visible, hidden };
+  }
+
+  // Always include the most recently edited shipment, whatever its status
+  const mostRecent = [...shipments].sort(SORT_ORDERS.updated_desc)[0];
+  sorted.forEach(shipment => {
+    if (shipment === mostRecent || DEFAULT_VISIBLE_STATUSES.includes(shipment.status?.toLowerCase())) {
+      visible.push(shipment);
+    } else {
+      hidden.push({ shipment, reason: 'inactive_status' });
+    }
+  });
+  return { visible, hidden };
+}
+
+// What the sidebar needs to explain the hidden shipments: a count per reason and status
+export function summarizeHidden(hidden) {
+  const groups = new Map();
+  hidden.forEach(({ shipment, reason }) => {
+    const status = shipment.status?.toLowerCase() || 'unknown';
+    const key = `${reason}:${status}`;
+    if (!groups.has(key)) {
+      groups.set(key, { reason, status, count: 0 });
+    }
+    groups.get(key).count++;
+  });
+
+  return { count: hidden.length, reasons: [...groups.values()] };
+}
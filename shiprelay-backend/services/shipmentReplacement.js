@@ -0,0 +1,62 @@
+import { shiprelayRequest } from './shiprelayClient.js';
+import { searchShipments, invalidateShipmentCache } from './shipmentSearch.js';
+
+// Replacements go out under the original order ref plus -R1, -R2, ... so they're easy to tell apart in ShipRelay
+const REPLACEMENT_SUFFIX = '-R';
+const MAX_REPLACEMENTS = 20;
+
+// Lost or damaged parcels are only known once a shipment has left the warehouse
+export const REPLACEABLE_STATUSES = ['shipped'];
+
+export function canReplace(shipment) {
+  return REPLACEABLE_STATUSES.includes(shipment.status?.toLowerCase());
+}
+
+// Same items as the original, in the shape ShipRelay takes them when creating a shipment
+export function getReplacementItems(shipment) {
+  return (shipment.items || []).map(item => ({
+    product_id: item.product_id ?? item.product?.id,
+    quantity: item.quantity ?? 1
+  }));
+}
+
+// First unused replacement ref. A replacement of a replacement counts from the original order ref.
+async function nextReplacementOrderRef(tenant, orderRef) {
+  const base = orderRef.replace(new RegExp(`${REPLACEMENT_SUFFIX}\\d+$`), '');
+
+  for (let n = 1; n <= MAX_REPLACEMENTS; n++) {
+    const candidate = `${base}${REPLACEMENT_SUFFIX}${n}`;
+    const existing = await searchShipments(tenant, { order_ref: candidate });
+    if (existing.length === 0) {
+      return candidate;
+    }
+  }
+  throw new Error(`Order ${base} already has ${MAX_REPLACEMENTS} replacement shipments`);
+}
+
+// Creates the replacement in ShipRelay. Resolves with the upstream status and parsed body
+// (or raw text) so the route can pass validation errors through.
+export async function createReplacementShipment(tenant, original, { items, address, reason }) {
+  const orderRef = await nextReplacementOrderRef(tenant, original.order_ref);
+
+  const response = await shiprelayRequest(tenant, '/shipments', {
+    method: 'POST',
+    body: {
+      order_ref: orderRef,
+      address,
+      items,
+      notes: `Replacement for shipment ${original.id} (${original.order_ref}): ${reason}`
+    }
+  });
+  invalidateShipmentCache(tenant, original.id, orderRef);
+
+  const text = await response.text();
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (parseErr) {
+    body = text;
+  }
+
+  return { orderRef, status: response.status, ok: response.ok, body };
+}
@@ -0,0 +1,122 @@
+import { shiprelayRequest } from './shiprelayClient.js';
+import { createResponseCache } from './responseCache.js';
+import { logger, upstreamBody } from './logger.js';
+
+const SHIPMENT_CACHE_TTL_MS = Number(process.env.SHIPMENT_CACHE_TTL_MS) || 30 * 1000;
+
+// Upper bound on ShipRelay result pages read per search, so a very broad name search can't run forever
+const MAX_UPSTREAM_PAGES = Number(process.env.SHIPRELAY_MAX_PAGES) || 10;
+
+const searchCache = createResponseCache({ ttlMs: SHIPMENT_CACHE_TTL_MS });
+
+// How each sidebar search mode maps onto ShipRelay's shipment filters.
+// ShipRelay has no recipient name filter, so name goes through the free-text search and is narrowed down here.
+// normalize() decides which searches count as the same one for caching.
+export const SEARCH_MODES = {
+  order_ref: {
+    normalize: value => value.trim(),
+    query: value => `order_ref=${encodeURIComponent(value)}`
+  },
+  email: {
+    normalize: value => value.trim().toLowerCase(),
+    query: value => `email=${encodeURIComponent(value)}`
+  },
+  name: {
+    normalize: value => value.trim().toLowerCase().replace(/\s+/g, ' '),
+    query: value => `search=${encodeURIComponent(value)}`,
+    matches: (shipment, value) => (shipment.address?.name || '').toLowerCase().includes(value)
+  },
+  tracking_number: {
+    normalize: value => value.replace(/\s+/g, '').toUpperCase(),
+    query: value => `tracking_number=${encodeURIComponent(value)}`
+  }
+};
+
+function hasNextPage(data, page) {
+  if (data.meta?.last_page) {
+    return page < data.meta.last_page;
+  }
+  return Boolean(data.links?.next);
+}
+
+async function searchByMode(tenant, mode, value) {
+  const { query, matches } = SEARCH_MODES[mode];
+  const shipments = [];
+
+  for (let page = 1; page <= MAX_UPSTREAM_PAGES; page++) {
+    const response = await shiprelayRequest(tenant, `/shipments?${query(value)}&page=${page}`);
+
+    // No match for one criterion isn't an error when several are searched together
+    if (response.status === 404) {
+      break;
+    }
+
+    if (!response.ok) {
+      logger.error('ShipRelay search failed', { mode, status: response.status, body: upstreamBody(await response.text()) });
+      const error = new Error(`ShipRelay ${mode} search failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    shipments.push(...(Array.isArray(data.data) ? data.data : []));
+
+    if (!hasNextPage(data, page)) {
+      break;
+    }
+    if (page === MAX_UPSTREAM_PAGES) {
+      logger.warn('Search stopped at the ShipRelay page limit', { mode, pages: MAX_UPSTREAM_PAGES });
+    }
+  }
+
+  return matches ? shipments.filter(shipment => matches(shipment, value)) : shipments;
+}
+
+// Cache tags for a shipment, mutating routes invalidate with the same ones
+export function shipmentCacheTags(tenant, shipmentId, orderRef) {
+  return [
+    shipmentId != null && `${tenant.id}:shipment:${shipmentId}`,
+    orderRef && `${tenant.id}:order:${SEARCH_MODES.order_ref.normalize(orderRef)}`
+  ].filter(Boolean);
+}
+
+async function runSearch(tenant, criteria) {
+  const results = await Promise.all(
+    Object.entries(criteria).map(([mode, value]) => searchByMode(tenant, mode, value))
+  );
+
+  const merged = new Map();
+  results.flat().forEach(shipment => {
+    if (!merged.has(shipment.id)) {
+      merged.set(shipment.id, shipment);
+    }
+  });
+
+  logger.info('Searched shipments', { modes: Object.keys(criteria), count: merged.size });
+  const shipments = [...merged.values()];
+
+  // Searching an order ref that has no shipments yet still has to be dropped when one is created
+  const tags = shipments.flatMap(shipment => shipmentCacheTags(tenant, shipment.id, shipment.order_ref));
+  if (criteria.order_ref) tags.push(...shipmentCacheTags(tenant, null, criteria.order_ref));
+
+  return { value: shipments, tags };
+}
+
+// Runs one ShipRelay query per criterion ({ email: '...', name: '...' }) and merges the results by shipment id.
+// Results are cached briefly; callers get their own copy since the route sorts and decorates it.
+export async function searchShipments(tenant, criteria) {
+  const normalized = {};
+  Object.keys(criteria).sort().forEach(mode => {
+    normalized[mode] = SEARCH_MODES[mode].normalize(criteria[mode]);
+  });
+
+  const shipments = await searchCache.get(`${tenant.id}:${JSON.stringify(normalized)}`, () => runSearch(tenant, normalized));
+  return structuredClone(shipments);
+}
+
+export function invalidateShipmentCache(tenant, shipmentId, orderRef) {
+  const removed = searchCache.invalidate(...shipmentCacheTags(tenant, shipmentId, orderRef));
+  if (removed > 0) {
+    logger.debug('Dropped cached shipment searches', { shipment_id: shipmentId, count: removed });
+  }
+}
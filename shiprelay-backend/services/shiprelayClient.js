@@ -0,0 +1,181 @@
+import fetch, { Response } from 'node-fetch';
+import { logger } from './logger.js';
+import { tokenRefreshes, trackUpstream, endpointLabel } from './metrics.js';
+
+const DEFAULT_SHIPRELAY_API_URL = 'https://console.shiprelay.com/api/v2';
+
+const REQUEST_TIMEOUT_MS = Number(process.env.SHIPRELAY_TIMEOUT_MS) || 10000;
+const MAX_RETRIES = Number(process.env.SHIPRELAY_MAX_RETRIES) || 3;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 10000;
+
+// Token caches to avoid repeated login calls, one per tenant since each has its own ShipRelay account.
+// pendingLogin is shared so concurrent callers wait on one login instead of racing.
+const tokenCaches = new Map();
+
+function getTokenCache(tenant) {
+  if (!tokenCaches.has(tenant.id)) {
+    tokenCaches.set(tenant.id, { token: null, expiry: null, pendingLogin: null });
+  }
+  return tokenCaches.get(tenant.id);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// The timeout covers the body too, a response that stalls after its headers would otherwise hang
+// the caller's text()/json(). The body is read here and handed back as a fresh Response.
+async function fetchWithTimeout(url, options = {}, timeout = REQUEST_TIMEOUT_MS) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    const body = await response.arrayBuffer();
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new Error(`ShipRelay request timed out after ${timeout}ms: ${options.method || 'GET'} ${url.split('?')[0]}`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function getRetryDelay(response, attempt) {
+  const retryAfter = response?.headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+    if (delay >= 0) {
+      return Math.min(delay, MAX_BACKOFF_MS);
+    }
+  }
+
+  const backoff = BASE_BACKOFF_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * BASE_BACKOFF_MS, MAX_BACKOFF_MS);
+}
+
+// SHIPRELAY_API_URL points the client at a sandbox or the demo fake, read per call since demo mode sets it at startup
+function getApiUrl() {
+  return (process.env.SHIPRELAY_API_URL || DEFAULT_SHIPRELAY_API_URL).replace(/\/$/, '');
+}
+
+async function login(tenant, tokenCache) {
+  logger.info('Fetching new ShipRelay token', { tenant_id: tenant.id });
+
+  let response;
+  try {
+    response = await trackUpstream('shiprelay', '/login', () => fetchWithTimeout(`${getApiUrl()}/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        email: tenant.shiprelay.email,
+        password: tenant.shiprelay.password
+      })
+    }));
+  } catch (err) {
+    tokenRefreshes.inc({ tenant: tenant.id, outcome: 'error' });
+    throw err;
+  }
+
+  if (!response.ok) {
+    tokenRefreshes.inc({ tenant: tenant.id, outcome: 'rejected' });
+    const errorText = await response.text();
+    throw new Error(`Failed to login to ShipRelay: ${response.status} - ${errorText}`);
+  }
+  tokenRefreshes.inc({ tenant: tenant.id, outcome: 'success' });
+
+  const data = await response.json();
+
+  // Cache the token for 50 minutes (ShipRelay tokens typically expire in 1 hour)
+  tokenCache.token = data.access_token;
+  tokenCache.expiry = Date.now() + (50 * 60 * 1000);
+
+  logger.info('ShipRelay token cached', { tenant_id: tenant.id });
+  return data.access_token;
+}
+
+export async function getShipRelayToken(tenant) {
+  const tokenCache = getTokenCache(tenant);
+
+  // Check if we have a valid cached token (expire after 50 minutes to be safe)
+  if (tokenCache.token && tokenCache.expiry && Date.now() < tokenCache.expiry) {
+    return tokenCache.token;
+  }
+
+  if (!tokenCache.pendingLogin) {
+    tokenCache.pendingLogin = login(tenant, tokenCache).finally(() => {
+      tokenCache.pendingLogin = null;
+    });
+  }
+  return tokenCache.pendingLogin;
+}
+
+// Drop the cached token, but only if nobody has replaced it since the caller used it
+function invalidateToken(tenant, token) {
+  const tokenCache = getTokenCache(tenant);
+  if (tokenCache.token === token) {
+    tokenCache.token = null;
+    tokenCache.expiry = null;
+  }
+}
+
+// Calls the ShipRelay API as the tenant's account and resolves with the final response.
+// Re-logs in once on 401 and retries 429 with exponential backoff. Timeouts, network errors and
+// 5xx are only retried for GET and PUT: ShipRelay may already have acted on a POST or PATCH, and
+// status changes like archive answer a repeat with 422.
+export async function shiprelayRequest(tenant, path, { method = 'GET', body, timeout = REQUEST_TIMEOUT_MS } = {}) {
+  const canRetryFailures = method === 'GET' || method === 'PUT';
+  let reloggedIn = false;
+  let attempt = 0;
+
+  while (true) {
+    const token = await getShipRelayToken(tenant);
+
+    let response;
+    try {
+      response = await trackUpstream('shiprelay', endpointLabel(path), () => fetchWithTimeout(`${getApiUrl()}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      }, timeout));
+    } catch (err) {
+      if (!canRetryFailures || attempt >= MAX_RETRIES) {
+        throw err;
+      }
+      const delay = getRetryDelay(null, attempt++);
+      logger.warn('ShipRelay request failed, retrying', { method, endpoint: endpointLabel(path), err, retry_in_ms: Math.round(delay) });
+      await sleep(delay);
+      continue;
+    }
+
+    if (response.status === 401 && !reloggedIn) {
+      logger.warn('ShipRelay rejected cached token, logging in again', { tenant_id: tenant.id });
+      invalidateToken(tenant, token);
+      reloggedIn = true;
+      continue;
+    }
+
+    const retryable = response.status === 429 || (canRetryFailures && response.status >= 500);
+    if (retryable && attempt < MAX_RETRIES) {
+      const delay = getRetryDelay(response, attempt++);
+      logger.warn('ShipRelay request returned a retryable status', {
+        method,
+        endpoint: endpointLabel(path),
+        status: response.status,
+        retry_in_ms: Math.round(delay)
+      });
+      await sleep(delay);
+      continue;
+    }
+
+    return response;
+  }
+}
@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import { appendJsonLine, readJsonLines } from './dataStore.js';
+import { findTicketsByOrderRef, updateTicket } from './zendesk.js';
+import { logger } from './logger.js';
+
+const DELIVERIES_FILE = 'shiprelay-webhooks.jsonl';
+
+// ShipRelay signs the raw body with HMAC-SHA256, hex encoded, optionally prefixed with "sha256="
+export function verifyShipRelaySignature(tenant, rawBody, signature) {
+  const secret = tenant.shiprelay.webhookSecret;
+  if (!secret || !rawBody || !signature) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const received = signature.replace(/^sha256=/, '');
+  return received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+}
+
+// Delivery key -> latest record, loaded from disk on first use
+let deliveries = null;
+const inFlight = new Set();
+
+async function loadDeliveries() {
+  if (!deliveries) {
+    deliveries = new Map();
+    (await readJsonLines(DELIVERIES_FILE)).forEach(record => deliveries.set(record.key, record));
+  }
+  return deliveries;
+}
+
+// Prefer ShipRelay's delivery id, fall back to what the change itself is about. Scoped to the
+// tenant since two ShipRelay accounts can hand out the same ids.
+function getDeliveryKey(tenant, deliveryId, shipment) {
+  const key = deliveryId ? String(deliveryId) : `${shipment.id}:${shipment.status}:${shipment.updated_at || ''}`;
+  return `${tenant.id}:${key}`;
+}
+
+function buildTicketUpdate(tenant, shipment) {
+  const status = String(shipment.status).toLowerCase();
+  const tracking = shipment.tracking?.tracking_number ? ` Tracking number: ${shipment.tracking.tracking_number}.` : '';
+  const fieldId = tenant.zendesk.shipmentStatusFieldId;
+  const customFields = fieldId ? [{ id: Number(fieldId), value: status }] : [];
+
+  return {
+    note: `ShipRelay: shipment ${shipment.id} for order ${shipment.order_ref} is now ${status}.${tracking}`,
+    tags: [`shipment_${status}`],
+    customFields
+  };
+}
+
+// Records a shipment status change and pushes it to the Zendesk tickets linked to its order ref.
+// Safe to call again for the same delivery: tickets that were already updated are skipped, so a
+// redelivery after a partial failure only retries what failed. record.complete says whether all went through.
+export async function handleShipmentStatusChange(tenant, { deliveryId, shipment }) {
+  const known = await loadDeliveries();
+  const key = getDeliveryKey(tenant, deliveryId, shipment);
+  const previous = known.get(key);
+
+  if (previous?.complete || inFlight.has(key)) {
+    return { duplicate: true, record: previous || null };
+  }
+
+  inFlight.add(key);
+  try {
+    const tickets = previous?.tickets ? [...previous.tickets] : [];
+    const record = {
+      key,
+      tenant_id: tenant.id,
+      received_at: previous?.received_at || new Date().toISOString(),
+      processed_at: new Date().toISOString(),
+      shipment_id: String(shipment.id),
+      order_ref: shipment.order_ref || null,
+      status: shipment.status,
+      tickets,
+      complete: false,
+      error: null
+    };
+
+    if (shipment.order_ref) {
+      try {
+        const ticketIds = await findTicketsByOrderRef(tenant, shipment.order_ref);
+        const update = buildTicketUpdate(tenant, shipment);
+
+        for (const ticketId of ticketIds) {
+          const existing = tickets.find(ticket => ticket.id === ticketId);
+          if (existing?.updated) continue;
+
+          const outcome = existing || { id: ticketId };
+          if (!existing) tickets.push(outcome);
+
+          try {
+            await updateTicket(tenant, ticketId, update);
+            outcome.updated = true;
+            outcome.error = null;
+          } catch (err) {
+            logger.error('Failed to update Zendesk ticket', { ticket_id: ticketId, order_ref: shipment.order_ref, err });
+            outcome.updated = false;
+            outcome.error = err.message;
+          }
+        }
+
+        record.complete = tickets.every(ticket => ticket.updated);
+        logger.info('Shipment status synced to Zendesk', {
+          shipment_id: shipment.id,
+          status: shipment.status,
+          tickets: tickets.length,
+          updated: tickets.filter(t => t.updated).length
+        });
+      } catch (err) {
+        logger.error('Failed to look up Zendesk tickets', { order_ref: shipment.order_ref, err });
+        record.error = err.message;
+      }
+    } else {
+      // Nothing to link it to, but keep the status change on record
+      record.complete = true;
+    }
+
+    await appendJsonLine(DELIVERIES_FILE, record);
+    known.set(key, record);
+    return { duplicate: false, record };
+  } finally {
+    inFlight.delete(key);
+  }
+}
@@ -0,0 +1,344 @@
+import fetch from 'node-fetch';
+import { logger } from './logger.js';
+import { trackUpstream } from './metrics.js';
+
+const SHOPIFY_TIMEOUT_MS = Number(process.env.SHOPIFY_TIMEOUT_MS) || 10000;
+
+const ORDER_QUERY = `
+  query getOrderByName($query: String!) {
+    orders(first: 1, query: $query) {
+      edges {
+        node {
+          id
+          name
+          fulfillmentOrders(first: 10) {
+            edges {
+              node {
+                id
+                status
+                requestStatus
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Everything the sidebar's order panel shows, looked up the same way as ORDER_QUERY
+const ORDER_DETAILS_QUERY = `
+  query getOrderDetailsByName($query: String!) {
+    orders(first: 1, query: $query) {
+      edges {
+        node {
+          id
+          name
+          displayFinancialStatus
+          displayFulfillmentStatus
+          cancelledAt
+          totalPriceSet {
+            shopMoney {
+              amount
+              currencyCode
+            }
+          }
+          customer {
+            displayName
+            email
+            phone
+          }
+          lineItems(first: 50) {
+            edges {
+              node {
+                name
+                sku
+                quantity
+                originalTotalSet {
+                  shopMoney {
+                    amount
+                    currencyCode
+                  }
+                }
+              }
+            }
+          }
+          fulfillmentOrders(first: 10) {
+            edges {
+              node {
+                id
+                status
+                requestStatus
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Fulfillment order webhooks only carry the fulfillment order, this finds the order it belongs to
+const FULFILLMENT_ORDER_QUERY = `
+  query getFulfillmentOrderOrder($id: ID!) {
+    fulfillmentOrder(id: $id) {
+      id
+      order {
+        name
+      }
+    }
+  }
+`;
+
+// Cheapest call that needs a valid access token, used by the health check
+const SHOP_QUERY = `
+  query getShop {
+    shop {
+      name
+    }
+  }
+`;
+
+const CANCELLATION_MUTATION = `
+  mutation fulfillmentOrderSubmitCancellationRequest($id: ID!, $message: String) {
+    fulfillmentOrderSubmitCancellationRequest(id: $id, message: $message) {
+      fulfillmentOrder {
+        id
+        status
+        requestStatus
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+// SHOPIFY_API_URL replaces https://<shop>.myshopify.com, e.g. with the demo fake
+function getGraphqlUrl(tenant) {
+  const storeId = tenant.shopify.shopDomain.replace(/\/$/, '');
+  const baseUrl = process.env.SHOPIFY_API_URL?.replace(/\/$/, '') || `https://${storeId}.myshopify.com`;
+  return `${baseUrl}/admin/api/2025-01/graphql.json`;
+}
+
+export function isShopifyConfigured(tenant) {
+  return Boolean(tenant.shopify.accessToken && tenant.shopify.shopDomain);
+}
+
+// Metrics are labelled with the operation name (getOrderByName, ...) since every call goes to one URL
+function getOperationName(query) {
+  return /\b(?:query|mutation)\s+(\w+)/.exec(query)?.[1] || 'graphql';
+}
+
+// Posts a GraphQL document to the Admin API. Throws on transport/HTTP errors,
+// GraphQL errors are left in the returned body for the caller to inspect.
+export async function shopifyGraphql(tenant, query, variables) {
+  const graphqlUrl = getGraphqlUrl(tenant);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SHOPIFY_TIMEOUT_MS);
+
+  try {
+    const response = await trackUpstream('shopify', getOperationName(query), () => fetch(graphqlUrl, {
+      method: 'POST',
+      headers: {
+        'X-Shopify-Access-Token': tenant.shopify.accessToken,
+        'Content-Type': 'application/json',
+        'User-Agent': 'ShipRelay-Integration/1.0'
+      },
+      body: JSON.stringify({ query, variables }),
+      signal: controller.signal
+    }));
+
+    if (!response.ok) {
+      throw new Error(`Shopify API error: ${response.status}`);
+    }
+    return await response.json();
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new Error(`Shopify request timed out after ${SHOPIFY_TIMEOUT_MS}ms`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Use order name search instead of order ID - order_ref should include the #
+export async function findShopifyOrder(tenant, orderRef, query = ORDER_QUERY) {
+  const orderNumber = orderRef.replace('#', '');
+  const orderData = await shopifyGraphql(tenant, query, { query: `name:${orderNumber}` });
+
+  if (orderData.errors) {
+    throw new Error(`Shopify GraphQL errors: ${orderData.errors.map(e => e.message).join('; ')}`);
+  }
+  return orderData.data?.orders?.edges?.[0]?.node || null;
+}
+
+// Name (order ref) of the order a fulfillment order belongs to, or null when Shopify doesn't know the id
+export async function getFulfillmentOrderOrderRef(tenant, fulfillmentOrderId) {
+  const data = await shopifyGraphql(tenant, FULFILLMENT_ORDER_QUERY, { id: fulfillmentOrderId });
+
+  if (data.errors) {
+    throw new Error(`Shopify GraphQL errors: ${data.errors.map(e => e.message).join('; ')}`);
+  }
+  return data.data?.fulfillmentOrder?.order?.name || null;
+}
+
+// Resolves with the shop name when the access token works, throws otherwise
+export async function checkShopifyCredentials(tenant) {
+  const data = await shopifyGraphql(tenant, SHOP_QUERY);
+
+  if (data.errors) {
+    throw new Error(`Shopify GraphQL errors: ${[].concat(data.errors).map(e => e.message || e).join('; ')}`);
+  }
+  return data.data?.shop?.name || null;
+}
+
+function normalizeMoney(moneySet) {
+  const money = moneySet?.shopMoney;
+  return money ? { amount: money.amount, currency: money.currencyCode } : null;
+}
+
+// The order as the sidebar shows it, or null when Shopify has no order with that name
+export async function getShopifyOrder(tenant, orderRef) {
+  const order = await findShopifyOrder(tenant, orderRef, ORDER_DETAILS_QUERY);
+  if (!order) {
+    return null;
+  }
+
+  return {
+    id: order.id,
+    name: order.name,
+    financial_status: order.displayFinancialStatus || null,
+    fulfillment_status: order.displayFulfillmentStatus || null,
+    cancelled_at: order.cancelledAt || null,
+    total: normalizeMoney(order.totalPriceSet),
+    customer: order.customer
+      ? { name: order.customer.displayName || null, email: order.customer.email || null, phone: order.customer.phone || null }
+      : null,
+    line_items: (order.lineItems?.edges || []).map(({ node }) => ({
+      name: node.name,
+      sku: node.sku || null,
+      quantity: node.quantity,
+      total: normalizeMoney(node.originalTotalSet)
+    })),
+    fulfillment_orders: (order.fulfillmentOrders?.edges || []).map(({ node }) => ({
+      id: node.id,
+      status: node.status,
+      request_status: node.requestStatus
+    }))
+  };
+}
+
+async function cancelFulfillmentOrder(tenant, fulfillmentOrder) {
+  const result = {
+    id: fulfillmentOrder.id,
+    previous_status: fulfillmentOrder.status,
+    status: 'failed',
+    request_status: fulfillmentOrder.requestStatus,
+    errors: []
+  };
+
+  try {
+    const cancellationData = await shopifyGraphql(tenant, CANCELLATION_MUTATION, {
+      id: fulfillmentOrder.id,
+      message: 'Order archived in ShipRelay'
+    });
+    const payload = cancellationData.data?.fulfillmentOrderSubmitCancellationRequest;
+
+    if (cancellationData.errors) {
+      result.errors = cancellationData.errors.map(e => e.message);
+    } else if (payload?.userErrors?.length > 0) {
+      result.errors = payload.userErrors.map(e => e.message);
+    } else {
+      result.status = 'cancellation_requested';
+      result.request_status = payload?.fulfillmentOrder?.requestStatus ?? result.request_status;
+    }
+  } catch (err) {
+    result.errors = [err.message];
+  }
+
+  return result;
+}
+
+// Submits cancellation requests for every open fulfillment order of the shipment's Shopify order.
+// Never throws, resolves with { status: 'cancelled' | 'partial' | 'failed' | 'skipped' | 'not_configured' | 'not_found', retryable,
+// order_name, details, fulfillment_orders } where retryable says whether a later retry could succeed.
+export async function cancelShopifyFulfillment(tenant, shipmentData) {
+  const result = {
+    status: 'failed',
+    retryable: true,
+    order_ref: shipmentData?.order_ref || null,
+    order_name: null,
+    details: null,
+    fulfillment_orders: []
+  };
+
+  if (!shipmentData?.order_ref) {
+    return { ...result, status: 'skipped', retryable: false, details: 'Shipment has no order ref' };
+  }
+
+  // Brands without a Shopify store have nothing to cancel, and a retry would never get further
+  if (!isShopifyConfigured(tenant)) {
+    logger.info('Shopify cancellation skipped: no Shopify store configured', { tenant_id: tenant.id });
+    return { ...result, status: 'not_configured', retryable: false, details: 'Shopify credentials are not configured' };
+  }
+
+  try {
+    // Step 1: Find the order by name using GraphQL
+    const order = await findShopifyOrder(tenant, shipmentData.order_ref);
+
+    // Orders from other sales channels never reach Shopify, there is nothing to cancel or retry
+    if (!order) {
+      return { ...result, status: 'not_found', retryable: false, details: `Shopify order ${shipmentData.order_ref} not found` };
+    }
+    result.order_name = order.name;
+
+    // Step 2: Submit cancellation requests for fulfillment orders
+    const fulfillmentOrders = order.fulfillmentOrders.edges
+      .map(edge => edge.node)
+      .filter(fo => fo.status !== 'CANCELLED' && fo.requestStatus !== 'CANCELLATION_REQUESTED');
+
+    if (fulfillmentOrders.length === 0) {
+      logger.info('No active fulfillment orders to cancel', {
+        order_name: order.name,
+        fulfillment_orders: order.fulfillmentOrders.edges.map(({ node }) => ({ id: node.id, status: node.status, request_status: node.requestStatus }))
+      });
+      return { ...result, status: 'skipped', retryable: false, details: `No open fulfillment orders on ${order.name}` };
+    }
+
+    logger.info('Cancelling Shopify fulfillment orders', { order_name: order.name, count: fulfillmentOrders.length });
+
+    // Step 3: Submit cancellation request for each fulfillment order
+    for (const fulfillmentOrder of fulfillmentOrders) {
+      const foResult = await cancelFulfillmentOrder(tenant, fulfillmentOrder);
+      result.fulfillment_orders.push(foResult);
+
+      if (foResult.status === 'cancellation_requested') {
+        logger.info('Requested Shopify fulfillment cancellation', { order_name: order.name, fulfillment_order_id: fulfillmentOrder.id });
+      } else {
+        logger.error('Failed to cancel Shopify fulfillment', {
+          order_name: order.name,
+          fulfillment_order_id: fulfillmentOrder.id,
+          errors: foResult.errors
+        });
+      }
+    }
+
+    const failures = result.fulfillment_orders.filter(fo => fo.status === 'failed').length;
+    if (failures === 0) {
+      return { ...result, status: 'cancelled', retryable: false, details: `Cancelled ${fulfillmentOrders.length} fulfillment orders on ${order.name}` };
+    }
+
+    return {
+      ...result,
+      status: failures === fulfillmentOrders.length ? 'failed' : 'partial',
+      details: `${failures} of ${fulfillmentOrders.length} fulfillment orders on ${order.name} could not be cancelled`
+    };
+  } catch (err) {
+    logger.error('Error cancelling Shopify fulfillment', { err });
+    return { ...result, details: err.message };
+  }
+}
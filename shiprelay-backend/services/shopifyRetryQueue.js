@@ -0,0 +1,145 @@
+import { randomUUID } from 'crypto';
+import { updateJson, readJson } from './dataStore.js';
+import { cancelShopifyFulfillment } from './shopify.js';
+import { recordAudit } from './auditLog.js';
+import { getTenant } from './tenants.js';
+import { logger } from './logger.js';
+import { shopifyCancellations } from './metrics.js';
+
+const QUEUE_FILE = 'shopify-retry-queue.json';
+
+const RETRY_INTERVAL_MS = Number(process.env.SHOPIFY_RETRY_INTERVAL_MS) || 30 * 1000;
+const MAX_ATTEMPTS = Number(process.env.SHOPIFY_RETRY_MAX_ATTEMPTS) || 8;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+function nextAttemptAt(attempts) {
+  const delay = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return new Date(Date.now() + delay).toISOString();
+}
+
+// Queues a failed cancellation for the background worker. One item per tenant and order ref,
+// a second failure for the same order just resets the existing item.
+export async function enqueueShopifyCancellation({ tenant, orderRef, shipmentId, result }) {
+  return updateJson(QUEUE_FILE, [], queue => {
+    const now = new Date().toISOString();
+    let item = queue.find(entry => entry.tenant_id === tenant.id && entry.order_ref === orderRef && entry.status === 'pending');
+
+    if (!item) {
+      item = {
+        id: randomUUID(),
+        tenant_id: tenant.id,
+        order_ref: orderRef,
+        shipment_ids: [],
+        status: 'pending',
+        attempts: 1,
+        created_at: now
+      };
+      queue.push(item);
+    }
+
+    if (shipmentId && !item.shipment_ids.includes(String(shipmentId))) {
+      item.shipment_ids.push(String(shipmentId));
+    }
+    item.last_result = result;
+    item.last_error = result.details;
+    item.next_attempt_at = nextAttemptAt(item.attempts);
+    item.updated_at = now;
+
+    logger.info('Queued Shopify cancellation retry', { tenant_id: tenant.id, order_ref: orderRef, next_attempt_at: item.next_attempt_at });
+    return item;
+  });
+}
+
+// Shopify cancelled the order on its own, so pending retries for it have nothing left to do
+export async function resolveShopifyCancellations(tenant, orderRef, reason) {
+  return updateJson(QUEUE_FILE, [], queue => {
+    const resolved = queue.filter(item => item.tenant_id === tenant.id && item.order_ref === orderRef && item.status === 'pending');
+    resolved.forEach(item => {
+      item.status = 'done';
+      item.last_error = null;
+      item.resolution = reason;
+      item.updated_at = new Date().toISOString();
+    });
+    return resolved;
+  });
+}
+
+export async function listShopifyCancellations(tenant, statuses = ['pending', 'dead']) {
+  const queue = await readJson(QUEUE_FILE, []);
+  return queue.filter(item => item.tenant_id === tenant.id && statuses.includes(item.status));
+}
+
+async function retryItem(item) {
+  const tenant = getTenant(item.tenant_id);
+  if (!tenant) {
+    throw new Error(`Tenant ${item.tenant_id} is no longer configured`);
+  }
+
+  const result = await cancelShopifyFulfillment(tenant, { order_ref: item.order_ref });
+  shopifyCancellations.inc({ tenant: tenant.id, trigger: 'retry', outcome: result.status });
+  const succeeded = !result.retryable;
+
+  await recordAudit({
+    tenant,
+    shipmentId: item.shipment_ids[0],
+    orderRef: item.order_ref,
+    action: 'shopify_cancellation_retry',
+    shopifyCancellation: result
+  });
+
+  return updateJson(QUEUE_FILE, [], queue => {
+    const stored = queue.find(entry => entry.id === item.id);
+    if (!stored) return;
+
+    stored.attempts += 1;
+    stored.last_result = result;
+    stored.last_error = succeeded ? null : result.details;
+    stored.updated_at = new Date().toISOString();
+
+    if (succeeded) {
+      stored.status = 'done';
+      logger.info('Shopify cancellation retry finished', { tenant_id: tenant.id, order_ref: stored.order_ref, status: result.status });
+    } else if (stored.attempts >= MAX_ATTEMPTS) {
+      stored.status = 'dead';
+      logger.error('Giving up on Shopify cancellation', { tenant_id: tenant.id, order_ref: stored.order_ref, attempts: stored.attempts });
+    } else {
+      stored.next_attempt_at = nextAttemptAt(stored.attempts);
+    }
+  });
+}
+
+export async function processShopifyRetryQueue() {
+  const queue = await readJson(QUEUE_FILE, []);
+  const due = queue.filter(item => item.status === 'pending' && new Date(item.next_attempt_at) <= new Date());
+
+  for (const item of due) {
+    try {
+      await retryItem(item);
+    } catch (err) {
+      logger.error('Shopify cancellation retry crashed', { tenant_id: item.tenant_id, order_ref: item.order_ref, err });
+    }
+  }
+}
+
+let workerTimer = null;
+
+export function startShopifyRetryWorker() {
+  if (workerTimer) return;
+
+  let running = false;
+  workerTimer = setInterval(async () => {
+    // Skip a tick rather than overlap when Shopify is slow
+    if (running) return;
+    running = true;
+    try {
+      await processShopifyRetryQueue();
+    } catch (err) {
+      // A broken queue file or fs error must not take the backend down, the next tick tries again
+      logger.error('Shopify retry queue run failed', { err });
+    } finally {
+      running = false;
+    }
+  }, RETRY_INTERVAL_MS);
+  workerTimer.unref();
+}
@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import { appendJsonLine, readJsonLines } from './dataStore.js';
+import { getFulfillmentOrderOrderRef } from './shopify.js';
+import { searchShipments, invalidateShipmentCache } from './shipmentSearch.js';
+import { archiveShipments } from './shipmentArchive.js';
+import { resolveShopifyCancellations } from './shopifyRetryQueue.js';
+import { recordAudit } from './auditLog.js';
+import { logger } from './logger.js';
+
+const RUNS_FILE = 'shopify-webhooks.jsonl';
+
+export const SHOPIFY_SYNC_TOPICS = ['orders/cancelled', 'fulfillment_orders/cancellation_request_accepted'];
+
+// Shopify signs the raw body with HMAC-SHA256 using the app's client secret, base64 encoded
+export function verifyShopifySignature(tenant, rawBody, signature) {
+  const secret = tenant.shopify.webhookSecret;
+  if (!secret || !rawBody || !signature) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// Run key -> latest record, loaded from disk on first use
+let runs = null;
+const inFlight = new Set();
+
+async function loadRuns() {
+  if (!runs) {
+    runs = new Map();
+    (await readJsonLines(RUNS_FILE)).forEach(record => runs.set(record.key, record));
+  }
+  return runs;
+}
+
+async function getOrderRef(tenant, topic, payload) {
+  if (topic === 'orders/cancelled') {
+    return payload.name || null;
+  }
+  const fulfillmentOrderId = payload.fulfillment_order?.id;
+  return fulfillmentOrderId ? getFulfillmentOrderOrderRef(tenant, fulfillmentOrderId) : null;
+}
+
+// Archives the ShipRelay shipments of an order Shopify cancelled. The archive never calls back into
+// Shopify, so it can't echo into another cancellation, and redeliveries of a completed run are skipped.
+// Like the ShipRelay handler, a redelivery after a partial failure retries the shipments still active.
+export async function handleShopifyCancellation(tenant, { webhookId, topic, payload }) {
+  const known = await loadRuns();
+  const key = `${tenant.id}:${webhookId}`;
+  const previous = known.get(key);
+
+  if (previous?.complete || inFlight.has(key)) {
+    return { duplicate: true, record: previous || null };
+  }
+
+  inFlight.add(key);
+  try {
+    const record = {
+      key,
+      tenant_id: tenant.id,
+      topic,
+      received_at: previous?.received_at || new Date().toISOString(),
+      processed_at: new Date().toISOString(),
+      order_ref: null,
+      shipments: [],
+      complete: false,
+      error: null
+    };
+
+    try {
+      record.order_ref = await getOrderRef(tenant, topic, payload);
+
+      if (record.order_ref) {
+        // Read ShipRelay fresh, a cached search could still show shipments as queued
+        invalidateShipmentCache(tenant, null, record.order_ref);
+        const shipments = await searchShipments(tenant, { order_ref: record.order_ref });
+        const { results } = await archiveShipments(tenant, shipments, { cancelInShopify: false });
+
+        record.shipments = results.map(({ id, previous_status, status, error }) => ({ id, previous_status, status, error: error || null }));
+        record.complete = results.every(result => result.status !== 'failed');
+
+        for (const result of results.filter(result => result.status === 'archived')) {
+          await recordAudit({
+            tenant,
+            shipmentId: result.id,
+            orderRef: record.order_ref,
+            action: 'shopify_sync_archive',
+            upstream: [
+              { service: 'shopify', topic, webhook_id: webhookId },
+              { service: 'shiprelay', status: result.http_status, body: result.response }
+            ]
+          });
+        }
+
+        await resolveShopifyCancellations(tenant, record.order_ref, `Shopify sent ${topic}`);
+        logger.info('Shopify cancellation synced to ShipRelay', {
+          topic,
+          order_ref: record.order_ref,
+          shipments: results.length,
+          archived: results.filter(r => r.status === 'archived').length
+        });
+      } else {
+        // Nothing to match it to, but keep the event on record
+        record.complete = true;
+      }
+    } catch (err) {
+      logger.error('Failed to sync Shopify cancellation to ShipRelay', { topic, err });
+      record.error = err.message;
+    }
+
+    await appendJsonLine(RUNS_FILE, record);
+    known.set(key, record);
+    return { duplicate: false, record };
+  } finally {
+    inFlight.delete(key);
+  }
+}
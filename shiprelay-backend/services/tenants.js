@@ -0,0 +1,109 @@
+import fs from 'fs';
+import { logger } from './logger.js';
+
+// A tenant is one Zendesk brand (or a whole Zendesk account) with its own ShipRelay account and
+// Shopify store. Tenants come from the JSON file at TENANTS_FILE:
+//
+//   { "tenants": [{
+//       "id": "lejardin",
+//       "zendesk": { "subdomain": "lejardin", "brand_ids": [360001], "api_url": "https://lejardin.zendesk.com",
+//                    "api_email": "...", "api_token": "env:LEJARDIN_ZENDESK_TOKEN" },
+//       "shiprelay": { "email": "...", "password": "env:LEJARDIN_SHIPRELAY_PASSWORD", "webhook_secret": "..." },
+//       "shopify": { "shop_domain": "lejardin-ch", "access_token": "env:LEJARDIN_SHOPIFY_TOKEN", "webhook_secret": "..." }
+//   }] }
+//
+// Values written as "env:NAME" are read from the environment so secrets can stay out of the file.
+// Without TENANTS_FILE there is a single "default" tenant built from the original env vars.
+
+function resolveSecret(value) {
+  if (typeof value === 'string' && value.startsWith('env:')) {
+    return process.env[value.slice(4)] || null;
+  }
+  return value ?? null;
+}
+
+function normalizeTenant(config) {
+  if (!config?.id) {
+    throw new Error('Every tenant needs an id');
+  }
+
+  const zendesk = config.zendesk || {};
+  const shiprelay = config.shiprelay || {};
+  const shopify = config.shopify || {};
+
+  return {
+    id: String(config.id),
+    zendesk: {
+      subdomain: zendesk.subdomain?.toLowerCase() || null,
+      brandIds: (zendesk.brand_ids || []).map(String),
+      apiUrl: resolveSecret(zendesk.api_url),
+      apiEmail: resolveSecret(zendesk.api_email),
+      apiToken: resolveSecret(zendesk.api_token),
+      orderRefFieldId: resolveSecret(zendesk.order_ref_field_id),
+      shipmentStatusFieldId: resolveSecret(zendesk.shipment_status_field_id)
+    },
+    shiprelay: {
+      email: resolveSecret(shiprelay.email),
+      password: resolveSecret(shiprelay.password),
+      webhookSecret: resolveSecret(shiprelay.webhook_secret)
+    },
+    shopify: {
+      shopDomain: resolveSecret(shopify.shop_domain),
+      accessToken: resolveSecret(shopify.access_token),
+      webhookSecret: resolveSecret(shopify.webhook_secret)
+    }
+  };
+}
+
+function defaultTenantFromEnv() {
+  return normalizeTenant({
+    id: 'default',
+    zendesk: {
+      api_url: 'env:ZENDESK_API_URL',
+      api_email: 'env:ZENDESK_API_EMAIL',
+      api_token: 'env:ZENDESK_API_TOKEN',
+      order_ref_field_id: 'env:ZENDESK_ORDER_REF_FIELD_ID',
+      shipment_status_field_id: 'env:ZENDESK_SHIPMENT_STATUS_FIELD_ID'
+    },
+    shiprelay: {
+      email: 'env:SHIPRELAY_EMAIL',
+      password: 'env:SHIPRELAY_PASSWORD',
+      webhook_secret: 'env:SHIPRELAY_WEBHOOK_SECRET'
+    },
+    shopify: {
+      shop_domain: 'env:SHOPIFY_SHOP_DOMAIN',
+      access_token: 'env:SHOPIFY_ACCESS_TOKEN',
+      webhook_secret: 'env:SHOPIFY_WEBHOOK_SECRET'
+    }
+  });
+}
+
+let tenants = null;
+
+export function getTenants() {
+  if (!tenants) {
+    if (process.env.TENANTS_FILE) {
+      const config = JSON.parse(fs.readFileSync(process.env.TENANTS_FILE, 'utf8'));
+      tenants = (config.tenants || []).map(normalizeTenant);
+      logger.info('Loaded tenants', { count: tenants.length, file: process.env.TENANTS_FILE });
+    } else {
+      tenants = [defaultTenantFromEnv()];
+    }
+  }
+  return tenants;
+}
+
+export function getTenant(id) {
+  return getTenants().find(tenant => tenant.id === String(id)) || null;
+}
+
+// Picks the tenant for a Zendesk account and brand. A tenant listing brand ids only serves those
+// brands; one without brand ids serves every other brand of its subdomain. The env-based default
+// tenant has no subdomain and serves everything.
+export function resolveTenant({ subdomain, brandId }) {
+  const candidates = getTenants().filter(tenant => !tenant.zendesk.subdomain || tenant.zendesk.subdomain === subdomain?.toLowerCase());
+
+  return candidates.find(tenant => brandId && tenant.zendesk.brandIds.includes(String(brandId))) ||
+    candidates.find(tenant => tenant.zendesk.brandIds.length === 0) ||
+    null;
+}
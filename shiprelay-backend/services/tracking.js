@@ -0,0 +1,54 @@
+// Fallback tracking links for when ShipRelay doesn't give us one
+const CARRIER_TRACKING_URLS = {
+  ups: 'https://www.ups.com/track?tracknum={number}',
+  usps: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={number}',
+  fedex: 'https://www.fedex.com/fedextrack/?trknbr={number}',
+  dhl: 'https://www.dhl.com/global-en/home/tracking/tracking-express.html?tracking-id={number}'
+};
+
+function getCarrierTrackingUrl(carrier, trackingNumber) {
+  if (!carrier || !trackingNumber) {
+    return null;
+  }
+
+  const key = Object.keys(CARRIER_TRACKING_URLS).find(name => carrier.toLowerCase().includes(name));
+  return key ? CARRIER_TRACKING_URLS[key].replace('{number}', encodeURIComponent(trackingNumber)) : null;
+}
+
+function normalizeLocation(location) {
+  if (!location || typeof location === 'string') {
+    return location || null;
+  }
+  return [location.city, location.region || location.state, location.country].filter(Boolean).join(', ') || null;
+}
+
+function normalizeEvent(event) {
+  return {
+    occurred_at: event.occurred_at || event.datetime || event.date || event.created_at || null,
+    status: event.status || event.tag || null,
+    description: event.description || event.message || event.status_description || null,
+    location: normalizeLocation(event.location)
+  };
+}
+
+// ShipRelay's tracking payload varies by carrier integration, flatten it to one stable shape
+export function normalizeTracking(shipment) {
+  const tracking = shipment.tracking || shipment.trackings?.[0] || {};
+  const trackingNumber = tracking.tracking_number || shipment.tracking_number || null;
+  const carrier = tracking.carrier || tracking.carrier_name || shipment.carrier || null;
+  const rawEvents = tracking.events || tracking.tracking_events || tracking.checkpoints || [];
+
+  const events = rawEvents
+    .map(normalizeEvent)
+    .sort((a, b) => new Date(b.occurred_at) - new Date(a.occurred_at));
+
+  return {
+    shipment_id: shipment.id,
+    status: shipment.status || null,
+    carrier,
+    service: tracking.service || tracking.service_level || shipment.service || null,
+    tracking_number: trackingNumber,
+    tracking_url: tracking.tracking_url || tracking.url || getCarrierTrackingUrl(carrier, trackingNumber),
+    events
+  };
+}
@@ -0,0 +1,64 @@
+import fetch from 'node-fetch';
+import { trackUpstream, endpointLabel } from './metrics.js';
+
+const ZENDESK_TIMEOUT_MS = Number(process.env.ZENDESK_TIMEOUT_MS) || 10000;
+
+export function isZendeskConfigured(tenant) {
+  const { apiUrl, apiEmail, apiToken } = tenant.zendesk;
+  return Boolean(apiUrl && apiEmail && apiToken);
+}
+
+// apiUrl is the account base URL (https://acme.zendesk.com), or a local stub in development
+async function zendeskRequest(tenant, path, { method = 'GET', body } = {}) {
+  const { apiUrl, apiEmail, apiToken } = tenant.zendesk;
+  const baseUrl = apiUrl.replace(/\/$/, '');
+  const credentials = Buffer.from(`${apiEmail}/token:${apiToken}`).toString('base64');
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ZENDESK_TIMEOUT_MS);
+
+  try {
+    const response = await trackUpstream('zendesk', endpointLabel(path), () => fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Basic ${credentials}`
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal
+    }));
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Zendesk API error: ${response.status} - ${errorText}`);
+    }
+    return await response.json();
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new Error(`Zendesk request timed out after ${ZENDESK_TIMEOUT_MS}ms: ${method} ${endpointLabel(path)}`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Open tickets that mention the order ref, or carry it in the order ref custom field when one is configured
+export async function findTicketsByOrderRef(tenant, orderRef) {
+  const fieldId = tenant.zendesk.orderRefFieldId;
+  const term = fieldId ? `custom_field_${fieldId}:"${orderRef}"` : `"${orderRef}"`;
+  const query = `type:ticket status<closed ${term}`;
+
+  const data = await zendeskRequest(tenant, `/api/v2/search.json?query=${encodeURIComponent(query)}`);
+  return (data.results || []).map(ticket => ticket.id);
+}
+
+// Adds an internal note, tags and custom field values in one ticket update
+export async function updateTicket(tenant, ticketId, { note, tags = [], customFields = [] }) {
+  const ticket = {};
+  if (note) ticket.comment = { body: note, public: false };
+  if (tags.length > 0) ticket.additional_tags = tags;
+  if (customFields.length > 0) ticket.custom_fields = customFields;
+
+  return zendeskRequest(tenant, `/api/v2/tickets/${ticketId}.json`, { method: 'PUT', body: { ticket } });
+}